@@ -58,6 +58,32 @@ const blogSchema = mongoose.Schema({
     draft: {
         type: Boolean,
         default: false
+    },
+    // the blog stays a draft until this time, then the scheduler publishes it
+    scheduledAt: {
+        type: Date,
+        default: null
+    },
+    // moderator who took the blog down, the author can't publish it again till a moderator restores it
+    unpublished_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // time decayed scores of the recent activity per window, recomputed by the server every few minutes
+    trending_score: {
+        day: {
+            type: Number,
+            default: 0
+        },
+        week: {
+            type: Number,
+            default: 0
+        },
+        month: {
+            type: Number,
+            default: 0
+        }
     }
 
 }, 
@@ -0,0 +1,36 @@
+import mongoose, { Schema } from "mongoose";
+
+// Reads, likes and comments of a blog counted per hour, the trending scores are computed from them
+const blogActivitySchema = mongoose.Schema({
+
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs'
+    },
+    // start of the hour the activity happened in
+    hour: {
+        type: Date,
+        required: true
+    },
+    reads: {
+        type: Number,
+        default: 0
+    },
+    likes: {
+        type: Number,
+        default: 0
+    },
+    comments: {
+        type: Number,
+        default: 0
+    }
+
+})
+
+blogActivitySchema.index({ blog: 1, hour: 1 }, { unique: true });
+
+// nothing older than the longest trending window (a month) is needed
+blogActivitySchema.index({ hour: 1 }, { expireAfterSeconds: 32 * 24 * 60 * 60 });
+
+export default mongoose.model("blog_activities", blogActivitySchema);
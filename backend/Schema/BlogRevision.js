@@ -0,0 +1,50 @@
+import mongoose, { Schema } from "mongoose";
+
+// Snapshot of a blog taken on every save draft and publish so older versions can be restored
+const blogRevisionSchema = mongoose.Schema({
+
+    blog: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'blogs',
+        index: true
+    },
+    title: {
+        type: String,
+        required: true,
+    },
+    banner: {
+        type: String,
+    },
+    des: {
+        type: String,
+    },
+    content: {
+        type: [],
+    },
+    tags: {
+        type: [String],
+    },
+    draft: {
+        type: Boolean,
+        default: false
+    },
+    saved_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // set when this revision was made by restoring an older one
+    restored_from: {
+        type: Schema.Types.ObjectId,
+        ref: 'blog_revisions',
+        default: null
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'savedAt'
+    }
+})
+
+export default mongoose.model("blog_revisions", blogRevisionSchema);
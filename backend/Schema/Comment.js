@@ -10,7 +10,7 @@ const commentSchema = mongoose.Schema({
     blog_author: {
         type: Schema.Types.ObjectId,
         required: true,
-        ref: 'blogs',
+        ref: 'User',
     },
     comment: {
         type: String,
@@ -23,7 +23,7 @@ const commentSchema = mongoose.Schema({
     commented_by: {
         type: Schema.Types.ObjectId,
         require: true,
-        ref: 'users'
+        ref: 'User'
     },
     isReply: {
         type: Boolean,
@@ -31,6 +31,11 @@ const commentSchema = mongoose.Schema({
     parent: {
         type: Schema.Types.ObjectId,
         ref: 'comments'
+    },
+    // set when the commenter edits the comment
+    edited: {
+        type: Boolean,
+        default: false
     }
 
 },
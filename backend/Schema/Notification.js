@@ -3,23 +3,24 @@ import mongoose, { Schema } from "mongoose";
 const notificationSchema = mongoose.Schema({
     type: {
         type: String,
-        enum: ["like", "comment", "reply"],
+        enum: ["like", "comment", "reply", "follow"],
         required: true
     },
+    // a follow is not about a blog
     blog: {
         type: Schema.Types.ObjectId,
-        required: true,
+        required: function() { return this.type != "follow" },
         ref: 'blogs'
     },
     notification_for: {
         type: Schema.Types.ObjectId,
         required: true,
-        ref: 'users'
+        ref: 'User'
     },
     user: {
         type: Schema.Types.ObjectId,
         required: true,
-        ref: 'users'
+        ref: 'User'
     },
     comment: {
         type: Schema.Types.ObjectId,
@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+
+// A report made by a user against a blog, a comment or another user, moderators resolve them from the queue
+const reportSchema = mongoose.Schema({
+
+    target_type: {
+        type: String,
+        enum: ["blog", "comment", "user"],
+        required: true
+    },
+    // _id of the blog, comment or user, see target_type
+    target: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ["spam", "harassment", "hate", "sexual", "violence", "misinformation", "other"],
+        required: true
+    },
+    details: {
+        type: String,
+        maxlength: 500,
+        default: ""
+    },
+    reported_by: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'User'
+    },
+    status: {
+        type: String,
+        enum: ["open", "dismissed", "actioned"],
+        default: "open"
+    },
+    // what the moderator did, who did it and when
+    action: {
+        type: String,
+        enum: ["dismiss", "hide", "suspend", null],
+        default: null
+    },
+    resolved_by: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    resolvedAt: {
+        type: Date,
+        default: null
+    }
+
+},
+{
+    timestamps: {
+        createdAt: 'reportedAt'
+    }
+})
+
+export default mongoose.model("reports", reportSchema);
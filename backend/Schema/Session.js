@@ -0,0 +1,54 @@
+import mongoose, { Schema } from "mongoose";
+
+// One session is created per login (per device) and holds the refresh token of that device
+const sessionSchema = mongoose.Schema({
+
+    user: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'User'
+    },
+    // only the sha256 hash of the refresh token is stored, never the token itself
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // hash of the token this one replaced, used to detect a stolen refresh token being reused
+    previous_token: {
+        type: String,
+        default: null
+    },
+    // when previous_token was replaced, it is still accepted for a short while after
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    // user agent of the browser, shown in the active sessions list
+    device: {
+        type: String,
+        default: "Unknown device"
+    },
+    ip: {
+        type: String,
+        default: ""
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    }
+
+},
+{
+    timestamps: true
+})
+
+export default mongoose.model("sessions", sessionSchema);
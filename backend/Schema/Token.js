@@ -0,0 +1,39 @@
+import mongoose, { Schema } from "mongoose";
+
+// One time tokens that are mailed to the user like password reset links
+const tokenSchema = mongoose.Schema({
+
+    user: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        ref: 'User'
+    },
+    type: {
+        type: String,
+        enum: ["password-reset", "email-verification"],
+        required: true
+    },
+    // only the sha256 hash of the token is stored, the token itself is in the mail
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    used: {
+        type: Boolean,
+        default: false
+    }
+
+},
+{
+    timestamps: true
+})
+
+// mongodb removes the token document once it is expired
+tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("tokens", tokenSchema);
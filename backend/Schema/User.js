@@ -24,6 +24,12 @@ const userSchema = new mongoose.Schema({
             minlength: [3, 'Username must be 3 letters long'],
             unique: true,
         },
+        // usernames used before, /get-profile resolves them to the current username
+        previous_usernames: {
+            type: [String],
+            index: true,
+            default: [],
+        },
         bio: {
             type: String,
             maxlength: [200, 'Bio should not be more than 200'],
@@ -71,15 +77,96 @@ const userSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        total_followers: {
+            type: Number,
+            default: 0
+        },
+        total_following: {
+            type: Number,
+            default: 0
+        },
     },
     google_auth: {
         type: Boolean,
         default: false
     },
+    // suspended users are blocked by the moderators
+    suspension: {
+        is_suspended: {
+            type: Boolean,
+            default: false
+        },
+        reason: {
+            type: String,
+            default: ""
+        },
+        // null means the suspension lasts till a moderator lifts it
+        expiresAt: {
+            type: Date,
+            default: null
+        },
+        suspended_by: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        suspendedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // readers become authors when they publish, staff roles are given by an admin
+    role: {
+        type: String,
+        enum: ["reader", "author", "moderator", "admin"],
+        default: "reader"
+    },
+    // optional TOTP second step at sign in, secrets and backup codes are never sent to the frontend
+    two_factor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            default: null
+        },
+        // secret shown in the QR code, moved to secret once the first code is confirmed
+        pending_secret: {
+            type: String,
+            default: null
+        },
+        // sha256 hashes of the unused backup codes
+        backup_codes: {
+            type: [String],
+            default: []
+        },
+        // time step of the last accepted app code, it and older codes are refused
+        last_used_step: {
+            type: Number,
+            default: null
+        }
+    },
+    // password signups have to verify their email before writing blogs or comments
+    email_verified: {
+        type: Boolean,
+        default: false
+    },
     blogs: {
         type: [ Schema.Types.ObjectId ],
         ref: 'blogs',
         default: [],
+    },
+    // authors this user follows, their blogs make the "following" feed
+    following: {
+        type: [ Schema.Types.ObjectId ],
+        ref: 'User',
+        default: [],
+    },
+    // tags are stored lowercase like the tags of the blogs
+    followed_tags: {
+        type: [ String ],
+        default: [],
     }
 
 }, 
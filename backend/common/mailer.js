@@ -0,0 +1,75 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs';
+import path from 'path';
+
+// Mails are sent through the transport named in MAIL_TRANSPORT
+// "smtp" is used in production, "file" and "console" are for local development and tests
+const transports = {
+    smtp: () => nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD
+        }
+    }),
+
+    // every mail is written as a json file in MAIL_DIR so tests can read the links from it
+    file: () => ({
+        sendMail: async (mail) => {
+            let dir = process.env.MAIL_DIR || "mails";
+            fs.mkdirSync(dir, { recursive: true });
+
+            let file = path.join(dir, `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9]/g, "_")}.json`);
+            fs.writeFileSync(file, JSON.stringify(mail, null, 4));
+
+            return { messageId: file };
+        }
+    }),
+
+    console: () => ({
+        sendMail: async (mail) => {
+            console.log(`Mail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+            return { messageId: null };
+        }
+    })
+}
+
+let transport = null;
+
+const getTransport = () => {
+    if(!transport) {
+        let name = process.env.MAIL_TRANSPORT || "console";
+
+        if(!transports[name]) {
+            throw new Error(`Unknown mail transport "${name}"`);
+        }
+
+        transport = transports[name]();
+    }
+
+    return transport;
+}
+
+// Any object with a sendMail(mail) method returning a promise can be used as transport
+export const setMailTransport = (newTransport) => {
+    transport = newTransport;
+}
+
+// user input like the fullname has to be escaped before it goes into the html of a mail
+export const escapeHtml = (text = "") => {
+    return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export const sendMail = ({ to, subject, text, html }) => {
+    return getTransport().sendMail({
+        from: process.env.MAIL_FROM || "no-reply@mern-blogging-website.com",
+        to, subject, text, html
+    })
+}
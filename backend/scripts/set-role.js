@@ -0,0 +1,37 @@
+// Gives a role to a user from the command line, used to create the first admin
+// npm run set-role -- <email> <role>
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import User from '../Schema/User.js';
+
+let [email, role] = process.argv.slice(2);
+let roles = User.schema.path("role").enumValues;
+
+if(!email || !roles.includes(role)) {
+    console.log(`Usage: npm run set-role -- <email> <${roles.join("|")}>`);
+    process.exit(1);
+}
+
+mongoose.connect(process.env.MY_DB_LOCATION)
+.then(() => {
+    return User.findOneAndUpdate({ "personal_info.email": email.toLowerCase() }, { role }, { new: true });
+})
+.then(user => {
+    if(!user) {
+        console.log("No user found with email " + email);
+        process.exitCode = 1;
+    }
+    else {
+        console.log(`${user.personal_info.username} is now ${user.role}`);
+    }
+})
+.catch(err => {
+    console.log("Error occured: " + err.message);
+    process.exitCode = 1;
+})
+.finally(() => {
+    mongoose.disconnect();
+});
@@ -10,6 +10,9 @@ import admin from 'firebase-admin';
 import serviceAccountKey from './serviceAccountKey.json' assert {type: "json"};
 import {getAuth} from 'firebase-admin/auth';
 import aws from 'aws-sdk';
+import crypto from 'crypto';
+import { authenticator } from 'otplib';
+import QRCode from 'qrcode';
 
 
 // Schema below
@@ -17,10 +20,19 @@ import User from './Schema/User.js';
 import Blog from './Schema/Blog.js';
 import Notification from './Schema/Notification.js';
 import Comment from './Schema/Comment.js';
+import Session from './Schema/Session.js';
+import Token from './Schema/Token.js';
+import BlogRevision from './Schema/BlogRevision.js';
+import Report from './Schema/Report.js';
+import BlogActivity from './Schema/BlogActivity.js';
+import { sendMail, escapeHtml } from './common/mailer.js';
 
 const server = express();
 let PORT = 3000;
 
+// accept the code of the previous and next 30 seconds too for clock drift of the phone
+authenticator.options = { window: 1 };
+
 // Using firebase admin SDK for authentication
 admin.initializeApp({
     credential: admin.credential.cert(serviceAccountKey)
@@ -29,6 +41,48 @@ admin.initializeApp({
 let emailRegex = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/; // regex for email 
 let passwordRegex = /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z]).{6,20}$/; // regex for password
 
+let accessTokenExpiry = "15m"; // access tokens are short lived, the refresh token is used to get a new one
+let refreshTokenExpiryDays = 30;
+let refreshTokenReuseSeconds = 60; // a rotated refresh token still works this long, for tabs refreshing at the same time
+let passwordResetExpiryMinutes = 30;
+let twoFactorTokenExpiry = "5m"; // time to enter the code after a correct password
+let twoFactorMaxAttempts = 5;
+let twoFactorLockMinutes = 15; // wrong codes are counted per user for this long
+let backupCodesCount = 10;
+let emailVerificationExpiryMinutes = 24 * 60;
+let verificationResendSeconds = 60; // a new verification mail can't be asked for sooner than this
+let bioLimit = 200;
+let maxRevisionsPerBlog = 50; // older revisions are removed after this
+let scheduleCheckInterval = 60 * 1000; // how often the scheduler looks for blogs to publish
+let maxScheduleDays = 365;
+let maxFollowedTags = 50;
+let trendingTagsDays = 7; // default window of the trending tags
+let trendingTagsMaxDays = 90;
+let trendingTagsCacheMinutes = 10;
+let trendingRecomputeInterval = 15 * 60 * 1000; // how often the trending scores of the blogs are recomputed
+
+// windows of the trending blogs, activity loses half of its weight every half_life_hours
+let trendingWindows = {
+    day: { days: 1, half_life_hours: 6 },
+    week: { days: 7, half_life_hours: 48 },
+    month: { days: 30, half_life_hours: 168 }
+};
+let streamHeartbeatInterval = 25 * 1000; // keeps idle notification streams from being closed by proxies
+let usernameRegex = /^[a-zA-Z0-9._]{3,30}$/; // regex for username chosen by the user
+
+// every role has the power of the roles before it
+let roles = ["reader", "author", "moderator", "admin"];
+
+// hosts accepted for every social link, website can be any http(s) link
+let socialLinkHosts = {
+    youtube: ["youtube.com", "youtu.be"],
+    instagram: ["instagram.com"],
+    facebook: ["facebook.com", "fb.com"],
+    twitter: ["twitter.com", "x.com"],
+    github: ["github.com"],
+    website: null
+};
+
 server.use(express.json());
 
 // backend -> 3000 and frontend -> 5172 are on different domains and port numbers
@@ -45,6 +99,8 @@ mongoose.connect(process.env.MY_DB_LOCATION, {
 });
 
 // Setting up s3 bucket
+let s3BucketName = "mern-blogging-website-bucket";
+
 // This create s3 aws client which is used to access the bucket for some methods which is assign to the user
 const s3 = new aws.S3( {
     region: "ap-south-1",
@@ -58,7 +114,7 @@ const generateUploadURL = async () => {
 
     // it is predefined s3 promise to generate URL
     return await s3.getSignedUrlPromise( 'putObject', {
-        Bucket: "mern-blogging-website-bucket",
+        Bucket: s3BucketName,
         Key: imageName,
         Expires: 1000,
         ContentType: "image/jpeg",
@@ -81,27 +137,655 @@ const verifyJWT = (req, res, next) => {
 
     jwt.verify(token, process.env.MY_SECRET_ACCESS_KEY, (err, user) => {
         if(err) {
+            // frontend refreshes the access token when it gets this error
             return res.status(403).json( {
-                error: "Access token is invalid"
+                error: err.name === "TokenExpiredError" ? "Access token has expired" : "Access token is invalid"
             })
         }
-        req.user = user.id;
+
+        // access tokens of a revoked session stop working right away, not when they expire
+        Session.findById(user.session)
+        .select("user revoked expiresAt lastUsedAt")
+        .populate("user", "suspension")
+        .then(session => {
+            if(!session || session.revoked || session.expiresAt < new Date() || !session.user || String(session.user._id) !== user.id) {
+                return res.status(401).json( {
+                    error: "Session has ended, sign in again"
+                })
+            }
+
+            if(isSuspended(session.user)) {
+                return res.status(403).json({ error: suspensionMessage(session.user) });
+            }
+
+            // no need to write on every request, a minute is precise enough for the sessions list
+            if(Date.now() - session.lastUsedAt.getTime() > 60 * 1000) {
+                Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() })
+                .catch(err => console.log(err.message));
+            }
+
+            req.user = user.id;
+            req.session_id = user.session;
+            next();
+        })
+        .catch(err => {
+            return res.status(500).json({ error: err.message });
+        })
+    })
+}
+
+// Middleware used after verifyJWT, allows only users with the given role or a higher one
+// requireRole("moderator") lets moderators and admins in
+const requireRole = (role) => {
+    return (req, res, next) => {
+        User.findById(req.user)
+        .select("role")
+        .then(user => {
+            if(!user || roles.indexOf(user.role) < roles.indexOf(role)) {
+                return res.status(403).json({ error: "You don't have permission to do this" });
+            }
+
+            req.role = user.role;
+            next();
+        })
+        .catch(err => {
+            return res.status(500).json({ error: err.message });
+        })
+    }
+}
+
+// suspension without expiry lasts till a moderator lifts it
+const isSuspended = (user) => {
+    let { is_suspended, expiresAt } = user.suspension || {};
+    return Boolean(is_suspended && (!expiresAt || expiresAt > new Date()));
+}
+
+const suspensionMessage = (user) => {
+    let { reason, expiresAt } = user.suspension;
+
+    let message = "Your account has been suspended" + (expiresAt ? ` until ${expiresAt.toDateString()}` : "");
+    return message + (reason ? `. Reason: ${reason}` : "");
+}
+
+// mongodb filter for users whose suspension is still going on
+const activeSuspensionFilter = () => {
+    return { "suspension.is_suspended": true, $or: [{ "suspension.expiresAt": null }, { "suspension.expiresAt": { $gt: new Date() } }] };
+}
+
+// Filter for the public blog lists, drafts and blogs of suspended authors are left out
+const publicBlogsFilter = async (filter = {}) => {
+    let suspendedAuthors = await User.distinct("_id", activeSuspensionFilter());
+
+    return { ...filter, draft: false, $and: [{ author: { $nin: suspendedAuthors } }] };
+}
+
+// Suspends the user and signs them out of every device, the caller checks the roles
+const suspendUser = async (user, { reason, duration_days, suspended_by }) => {
+    user.suspension = {
+        is_suspended: true,
+        reason,
+        expiresAt: duration_days ? new Date(Date.now() + duration_days * 24 * 60 * 60 * 1000) : null,
+        suspended_by,
+        suspendedAt: new Date()
+    };
+
+    await user.save();
+    await Session.updateMany({ user: user._id, revoked: false }, { revoked: true });
+
+    return user;
+}
+
+// ip of the request, behind a proxy like vercel it is the first address in x-forwarded-for
+const getClientIp = (req) => {
+    let forwardedFor = req.headers['x-forwarded-for'];
+    return forwardedFor ? forwardedFor.split(",")[0].trim() : req.socket.remoteAddress || "";
+}
+
+// refresh tokens are stored as hash so a leaked database can't be used to log in
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+const generateRefreshToken = () => {
+    return crypto.randomBytes(40).toString("hex");
+}
+
+// the rotated refresh token is derived from the one it replaces,
+// so the old token used again in the reuse window gets the same new token
+const rotateRefreshToken = (previousHash) => {
+    return crypto.createHmac("sha256", process.env.MY_SECRET_ACCESS_KEY).update(previousHash).digest("hex");
+}
+
+const getRefreshTokenExpiry = () => {
+    return new Date(Date.now() + refreshTokenExpiryDays * 24 * 60 * 60 * 1000);
+}
+
+// google already verified the email of google accounts
+const isEmailVerified = (user) => {
+    return Boolean(user.email_verified || user.google_auth);
+}
+
+// Middleware used after verifyJWT on routes which need a verified email
+const verifyEmail = (req, res, next) => {
+    User.findById(req.user)
+    .select("email_verified google_auth")
+    .then(user => {
+        if(!user) {
+            return res.status(403).json({ error: "Access token is invalid" });
+        }
+
+        if(!isEmailVerified(user)) {
+            return res.status(403).json({ error: "Verify your email to do this. Check your inbox for the verification link" });
+        }
+
         next();
     })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+}
+
+// user details the frontend keeps in session along with the tokens
+const formatUserData = (user) => {
+    return {
+        profile_img: user.personal_info.profile_img,
+        username: user.personal_info.username,
+        fullname: user.personal_info.fullname,
+        email_verified: isEmailVerified(user),
+        role: user.role,
+    }
 }
 
 // format to send to frontend
-const formatDatatoSend = (user) => {
+// every login creates a new session for the device so it can be revoked on its own
+const formatDatatoSend = async (user, req) => {
+
+    const refresh_token = generateRefreshToken();
+
+    const session = await new Session({
+        user: user._id,
+        token: hashToken(refresh_token),
+        device: req.headers['user-agent'] || "Unknown device",
+        ip: getClientIp(req),
+        expiresAt: getRefreshTokenExpiry()
+    }).save();
 
     // Access token is generated using jwt and send to frontend for authentication
-    const access_token = jwt.sign({id: user._id}, process.env.MY_SECRET_ACCESS_KEY);
+    const access_token = jwt.sign({id: user._id, session: session._id}, process.env.MY_SECRET_ACCESS_KEY, { expiresIn: accessTokenExpiry });
 
     return {
         access_token,
-        profile_img: user.personal_info.profile_img,
-        username: user.personal_info.username,
-        fullname: user.personal_info.fullname,
+        refresh_token,
+        ...formatUserData(user)
+    }
+}
+
+// Creates a one time token of the given type for the user and returns it, only its hash is saved
+// older tokens of the same type are removed so only the latest mail works
+const createMailToken = async (user, type, expiryMinutes) => {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    await Token.deleteMany({ user: user._id, type });
+
+    await new Token({
+        user: user._id,
+        type,
+        token: hashToken(token),
+        expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000)
+    }).save();
+
+    return token;
+}
+
+// Second step tokens are signed with their own key so they can't be used as access token
+const getTwoFactorSecret = () => {
+    return crypto.createHmac("sha256", process.env.MY_SECRET_ACCESS_KEY).update("two-factor").digest("hex");
+}
+
+// wrong codes entered by every user, { count, resetAt }. Kept per user and not per second step token
+// as signing in again gives a new token, after twoFactorMaxAttempts no code is checked till resetAt
+const twoFactorAttempts = new Map();
+
+const getTwoFactorAttempts = (user_id) => {
+    let attempts = twoFactorAttempts.get(String(user_id));
+
+    if(attempts && attempts.resetAt < Date.now()) {
+        twoFactorAttempts.delete(String(user_id));
+        return 0;
+    }
+
+    return attempts ? attempts.count : 0;
+}
+
+const countTwoFactorFailure = (user_id) => {
+    let key = String(user_id);
+    let attempts = twoFactorAttempts.get(key);
+
+    if(!attempts || attempts.resetAt < Date.now()) {
+        attempts = { count: 0, resetAt: Date.now() + twoFactorLockMinutes * 60 * 1000 };
+        twoFactorAttempts.set(key, attempts);
+    }
+
+    attempts.count++;
+}
+
+// Response of /signin and /google-auth when the user has two factor authentication enabled
+const formatTwoFactorChallenge = (user) => {
+    const two_factor_token = jwt.sign({ id: user._id, nonce: nanoid() }, getTwoFactorSecret(), { expiresIn: twoFactorTokenExpiry });
+
+    return { two_factor_required: true, two_factor_token };
+}
+
+// Backup codes are shown to the user once, only their hashes are saved
+const generateBackupCodes = () => {
+    let codes = [];
+
+    for(let i = 0; i < backupCodesCount; i++) {
+        let code = crypto.randomBytes(4).toString("hex");
+        codes.push(code.substring(0, 4) + "-" + code.substring(4));
+    }
+
+    return codes;
+}
+
+// Checks a 6 digit code from the authenticator app or one of the backup codes
+// a used backup code is removed from the user and the time step of an app code is kept
+// so the same code can't be used twice, caller has to save the user
+const verifyTwoFactorCode = (user, code) => {
+    code = String(code || "").trim().toLowerCase();
+
+    if(/^\d{6}$/.test(code)) {
+        let delta = authenticator.checkDelta(code, user.two_factor.secret);
+
+        if(delta === null) {
+            return false;
+        }
+
+        let step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+
+        if(user.two_factor.last_used_step !== null && step <= user.two_factor.last_used_step) {
+            return false;
+        }
+
+        user.two_factor.last_used_step = step;
+        return true;
+    }
+
+    let codeHash = hashToken(code);
+    let index = user.two_factor.backup_codes.indexOf(codeHash);
+
+    if(index === -1) {
+        return false;
+    }
+
+    user.two_factor.backup_codes.splice(index, 1);
+    return true;
+}
+
+// Mails the email verification link to a password signup
+const sendVerificationMail = async (user) => {
+    let token = await createMailToken(user, "email-verification", emailVerificationExpiryMinutes);
+    let link = `${process.env.MY_FRONTEND_DOMAIN}/verify-email/${token}`;
+
+    return sendMail({
+        to: user.personal_info.email,
+        subject: "Verify your email",
+        text: `Hi ${user.personal_info.fullname},\n\nWelcome! Confirm your email by opening the link below. It expires in 24 hours.\n\n${link}`,
+        html: `<p>Hi ${escapeHtml(user.personal_info.fullname)},</p><p>Welcome! Confirm your email by opening the link below. It expires in 24 hours.</p><p><a href="${link}">Verify email</a></p>`
+    });
+}
+
+// Returns the error message for the first invalid social link, or null if all of them are valid
+const validateSocialLinks = (social_links) => {
+    if(!social_links || typeof social_links !== "object" || Array.isArray(social_links)) {
+        return "Social links are invalid";
+    }
+
+    for(let [platform, link] of Object.entries(social_links)) {
+
+        // own keys only, names like constructor or __proto__ come from the prototype
+        if(!Object.hasOwn(socialLinkHosts, platform)) {
+            return `${platform} is not a supported social link`;
+        }
+
+        if(typeof link !== "string") {
+            return `${platform} link is invalid`;
+        }
+
+        if(!link.length) {
+            continue;
+        }
+
+        let url;
+        try {
+            url = new URL(link);
+        }
+        catch(err) {
+            return `${platform} link is invalid. You must enter a full link with http(s) included`;
+        }
+
+        if(!["http:", "https:"].includes(url.protocol)) {
+            return `${platform} link must start with http(s)`;
+        }
+
+        let hosts = socialLinkHosts[platform];
+        let hostname = url.hostname.toLowerCase();
+
+        if(hosts && !hosts.some(host => hostname === host || hostname.endsWith("." + host))) {
+            return `${platform} link is invalid. It must be a ${hosts[0]} link`;
+        }
+    }
+
+    return null;
+}
+
+// user input is used in regex searches, so its special characters are escaped
+const escapeRegex = (text = "") => {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Moves a published blog back to drafts and takes it out of the author's post count, a scheduled blog
+// is not published anymore. With a moderator the blog stays taken down till a moderator restores it
+const unpublishBlog = async (blog, moderator = null) => {
+    let wasPublished = !blog.draft;
+
+    blog.draft = true;
+    blog.scheduledAt = null;
+
+    if(moderator) {
+        blog.unpublished_by = moderator;
+    }
+
+    if(!blog.isModified()) {
+        return blog;
+    }
+
+    await blog.save();
+
+    if(wasPublished) {
+        await User.updateOne({ _id: blog.author }, { $inc: { "account_info.total_posts": -1 } });
+    }
+
+    return blog;
+}
+
+// Deletes the blog with its comments and notifications and corrects the counters of the author
+const deleteBlog = async (blog) => {
+    await Comment.deleteMany({ blog_id: blog._id });
+    await Notification.deleteMany({ blog: blog._id });
+    await BlogRevision.deleteMany({ blog: blog._id });
+    await BlogActivity.deleteMany({ blog: blog._id });
+
+    await User.updateOne({ _id: blog.author }, {
+        $pull: { blogs: blog._id },
+        $inc: {
+            "account_info.total_posts": blog.draft ? 0 : -1,
+            "account_info.total_reads": -blog.activity.total_reads
+        }
+    });
+
+    await Blog.deleteOne({ _id: blog._id });
+}
+
+// A reader becomes an author with the first published blog, called from every path that publishes one.
+// users made before roles existed have no role field, they are readers too
+const promoteToAuthor = (user_id) => {
+    return User.updateOne({ _id: user_id, role: { $in: ["reader", null] } }, { role: "author" });
+}
+
+// Publishes the blogs whose scheduled time has come, the scheduler calls it every scheduleCheckInterval
+const publishScheduledBlogs = async () => {
+    let blogs = await Blog.find({ draft: true, unpublished_by: null, scheduledAt: { $ne: null, $lte: new Date() } }).select("_id author");
+
+    for(let { _id, author } of blogs) {
+        // publishedAt is immutable in mongoose so the collection is updated directly,
+        // matching on draft again makes sure a blog is published and counted only once
+        let { modifiedCount } = await Blog.collection.updateOne(
+            { _id, draft: true, unpublished_by: null, scheduledAt: { $ne: null, $lte: new Date() } },
+            { $set: { draft: false, scheduledAt: null, publishedAt: new Date() } }
+        );
+
+        if(!modifiedCount) {
+            continue;
+        }
+
+        await User.updateOne({ _id: author }, { $inc: { "account_info.total_posts": 1 } });
+        await promoteToAuthor(author);
+    }
+}
+
+// Counts a read, like or comment of the blog in the bucket of the current hour, field is reads, likes or comments
+const recordActivity = (blog, field, value = 1) => {
+    let hour = new Date();
+    hour.setMinutes(0, 0, 0);
+
+    return BlogActivity.updateOne({ blog, hour }, { $inc: { [field]: value } }, { upsert: true })
+    .catch(err => console.log("Recording blog activity failed: " + err.message));
+}
+
+// Recomputes trending_score of every blog from the activity of each window. A comment weighs like 5 reads
+// and a like like 3 reads, older activity counts less. Blogs without recent activity go back to 0
+const recomputeTrendingScores = async () => {
+    let now = new Date();
+    let scores = {};
+
+    for(let [ window, { days, half_life_hours } ] of Object.entries(trendingWindows)) {
+        let results = await BlogActivity.aggregate([
+            { $match: { hour: { $gte: new Date(now.getTime() - days * 24 * 60 * 60 * 1000) } } },
+            { $project: {
+                blog: 1,
+                points: { $multiply: [
+                    { $add: [ "$reads", { $multiply: [ "$likes", 3 ] }, { $multiply: [ "$comments", 5 ] } ] },
+                    { $pow: [ 0.5, { $divide: [ { $subtract: [ now, "$hour" ] }, half_life_hours * 60 * 60 * 1000 ] } ] }
+                ] }
+            } },
+            { $group: { _id: "$blog", score: { $sum: "$points" } } }
+        ]);
+
+        results.forEach(({ _id, score }) => {
+            scores[_id] = scores[_id] || { day: 0, week: 0, month: 0 };
+            scores[_id][window] = Math.max(score, 0);
+        });
+    }
+
+    let ids = Object.keys(scores);
+
+    await Blog.updateMany(
+        { _id: { $nin: ids }, $or: Object.keys(trendingWindows).map(window => ({ [`trending_score.${window}`]: { $ne: 0 } })) },
+        { trending_score: { day: 0, week: 0, month: 0 } },
+        { timestamps: false }
+    );
+
+    if(ids.length) {
+        await Blog.bulkWrite(ids.map(_id => ({
+            updateOne: { filter: { _id }, update: { trending_score: scores[_id] }, timestamps: false }
+        })));
+    }
+}
+
+// Saves the current state of the blog as a revision and keeps only the latest maxRevisionsPerBlog
+const saveRevision = async (blog, saved_by, restored_from = null) => {
+    let { title, des, banner, content, tags, draft } = blog;
+
+    let revision = await new BlogRevision({ blog: blog._id, title, des, banner, content, tags, draft, saved_by, restored_from }).save();
+
+    let oldRevisions = await BlogRevision.find({ blog: blog._id })
+    .sort({ savedAt: -1 })
+    .skip(maxRevisionsPerBlog)
+    .select("_id");
+
+    if(oldRevisions.length) {
+        await BlogRevision.deleteMany({ _id: { $in: oldRevisions.map(({ _id }) => _id) } });
+    }
+
+    return revision;
+}
+
+// Compares the EditorJS blocks of two revisions with a longest common subsequence
+// blocks are matched by their id, so an edited paragraph is "changed" and not removed and added
+// content saved by older EditorJS versions has no block ids, then the whole block is compared
+const diffBlocks = (before, after) => {
+    let hasIds = [...before, ...after].every(block => block.id);
+    let key = (block) => hasIds ? block.id : JSON.stringify({ type: block.type, data: block.data });
+
+    let lcs = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+
+    for(let i = before.length - 1; i >= 0; i--) {
+        for(let j = after.length - 1; j >= 0; j--) {
+            lcs[i][j] = key(before[i]) === key(after[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    let diff = [];
+    let i = 0, j = 0;
+
+    while(i < before.length && j < after.length) {
+        if(key(before[i]) === key(after[j])) {
+            let changed = before[i].type !== after[j].type || JSON.stringify(before[i].data) !== JSON.stringify(after[j].data);
+
+            diff.push({ status: changed ? "changed" : "unchanged", before: before[i], after: after[j] });
+            i++; j++;
+        }
+        else if(lcs[i + 1][j] >= lcs[i][j + 1]) {
+            diff.push({ status: "removed", before: before[i] });
+            i++;
+        }
+        else {
+            diff.push({ status: "added", after: after[j] });
+            j++;
+        }
+    }
+
+    for(; i < before.length; i++) {
+        diff.push({ status: "removed", before: before[i] });
+    }
+
+    for(; j < after.length; j++) {
+        diff.push({ status: "added", after: after[j] });
+    }
+
+    return diff;
+}
+
+// blocks of the content saved by the editor, content is stored as [ { time, blocks, version } ]
+const getBlocks = (content) => {
+    let data = Array.isArray(content) ? content[0] : content;
+    return (data && data.blocks) || [];
+}
+
+// Deletes the comment with all its replies and their notifications and corrects the counters of the blog
+// returns how many comments were deleted
+const deleteComment = async (_id) => {
+    let comment = await Comment.findById(_id);
+
+    if(!comment) {
+        return 0;
+    }
+
+    let deletedCount = 1;
+
+    for(let child of comment.children) {
+        deletedCount += await deleteComment(child);
+    }
+
+    if(comment.parent) {
+        await Comment.updateOne({ _id: comment.parent }, { $pull: { children: _id } });
+    }
+
+    await Notification.deleteMany({ $or: [{ comment: _id }, { reply: _id }, { replied_on_comment: _id }] });
+
+    await Blog.updateOne({ _id: comment.blog_id }, {
+        $pull: { comments: _id },
+        $inc: {
+            "activity.total_comments": -1,
+            "activity.total_parent_comments": comment.isReply ? 0 : -1
+        }
+    }, { timestamps: false });
+
+    await Comment.deleteOne({ _id });
+
+    return deletedCount;
+}
+
+// Open notification streams (server sent events) of every signed in user, one per browser tab
+const notificationStreams = new Map();
+
+// a stream stays open only while its session is valid and the user isn't suspended,
+// it is checked on every push and heartbeat as the token was only verified when connecting
+const isStreamSessionActive = async (session_id, user_id) => {
+    let session = await Session.findById(session_id)
+    .select("user revoked expiresAt")
+    .populate("user", "suspension");
+
+    return Boolean(session && !session.revoked && session.expiresAt >= new Date() && session.user
+        && String(session.user._id) === String(user_id) && !isSuspended(session.user));
+}
+
+const addNotificationStream = (user_id, res) => {
+    let key = String(user_id);
+
+    if(!notificationStreams.has(key)) {
+        notificationStreams.set(key, new Set());
+    }
+    notificationStreams.get(key).add(res);
+
+    return () => {
+        let streams = notificationStreams.get(key);
+
+        // a stream closed by the server is removed again when the connection closes
+        if(!streams) {
+            return;
+        }
+
+        streams.delete(res);
+
+        if(!streams.size) {
+            notificationStreams.delete(key);
+        }
+    }
+}
+
+// Sends a new notification to the open streams of the user it is for, same shape as in /notifications
+const pushNotification = async (notification) => {
+    if(String(notification.user) == String(notification.notification_for)) {
+        return;
+    }
+
+    let streams = notificationStreams.get(String(notification.notification_for));
+
+    if(!streams) {
+        return;
     }
+
+    await notification.populate([
+        { path: "blog", select: "title blog_id" },
+        { path: "user", select: "personal_info.fullname personal_info.username personal_info.profile_img -_id" },
+        { path: "comment", select: "comment" },
+        { path: "replied_on_comment", select: "comment" },
+        { path: "reply", select: "comment" }
+    ]);
+
+    let { _id, type, seen, createdAt, blog, user, comment, replied_on_comment, reply } = notification;
+    let data = JSON.stringify({ _id, type, seen, createdAt, blog, user, comment, replied_on_comment, reply });
+
+    for(let res of [ ...streams ]) {
+        if(await isStreamSessionActive(res.locals.session_id, notification.notification_for)) {
+            res.write(`event: notification\ndata: ${data}\n\n`);
+        } else {
+            res.locals.closeStream();
+        }
+    }
+}
+
+// old usernames stay reserved for their owner so links to the old profile url keep working
+const isUsernameTaken = (username, exceptUserId = null) => {
+    return User.exists({
+        _id: { $ne: exceptUserId },
+        $or: [
+            { "personal_info.username": username },
+            { "personal_info.previous_usernames": username }
+        ]
+    });
 }
 
 // Generate Unique username
@@ -109,9 +793,7 @@ const formatDatatoSend = (user) => {
 const generateUsername = async(email) => {
     // username is the email before the @
     let username = email.split("@")[0];
-    let isUsernameNotUnique = await User.exists({
-        "personal_info.username": username
-    });
+    let isUsernameNotUnique = await isUsernameTaken(username);
 
     isUsernameNotUnique ? username += nanoid().substring(0,5) : "";
     return username;
@@ -164,8 +846,13 @@ server.post("/signup", (req, res) => {
         })
 
         user.save()
-        .then((u)=> {
-            return res.status(200).json(formatDatatoSend(u))
+        .then(async (u)=> {
+
+            // user can still sign in if the mail fails, it can be sent again from the frontend
+            sendVerificationMail(u)
+            .catch(err => console.log("Failed to send verification mail: " + err.message));
+
+            return res.status(200).json(await formatDatatoSend(u, req))
         })
         .catch((err) => {
 
@@ -196,7 +883,7 @@ server.post("/signin", (req, res) => {
         if(!user.google_auth) {
             
             // comparing the password
-            bcrypt.compare(password, user.personal_info.password , (err, result) => {
+            bcrypt.compare(password, user.personal_info.password , async (err, result) => {
                 if(err) {
                     return res.status(403).json({"error": "Error occured while login try again"});
                 }
@@ -205,7 +892,16 @@ server.post("/signin", (req, res) => {
                     return res.status(403).json({"error": "Incorrect Password"});
                 }
                 else {
-                    return res.status(200).json(formatDatatoSend(user));
+                    if(isSuspended(user)) {
+                        return res.status(403).json({ "error": suspensionMessage(user) });
+                    }
+
+                    // password is correct but the code from the authenticator app is still needed
+                    if(user.two_factor.enabled) {
+                        return res.status(200).json(formatTwoFactorChallenge(user));
+                    }
+
+                    return res.status(200).json(await formatDatatoSend(user, req));
                 }
 
             });
@@ -235,7 +931,7 @@ server.post("/google-auth", async(req, res) => {
         picture = picture.replace("s96-c", "s384-c");
 
         // check if the user already exists
-        let user = await User.findOne({"personal_info.email": email}).select("personal_info.fullname personal_info.username personal_info.profile_img google_auth")
+        let user = await User.findOne({"personal_info.email": email}).select("personal_info.fullname personal_info.username personal_info.profile_img google_auth email_verified role suspension two_factor.enabled")
         .then((u) => {
             return u || null;
         })
@@ -248,6 +944,10 @@ server.post("/google-auth", async(req, res) => {
             if(!user.google_auth) {
                 return res.status(403).json({"error": "This email was signed up without google. Please log in with password to access the account"});
             }
+
+            if(isSuspended(user)) {
+                return res.status(403).json({ "error": suspensionMessage(user) });
+            }
         }
         else { // sign up
             let username = await generateUsername(email);
@@ -260,7 +960,8 @@ server.post("/google-auth", async(req, res) => {
                     profile_img: picture,
                     username
                 },
-                google_auth: true
+                google_auth: true,
+                email_verified: true
             });
             
             await user.save().then((u) => {
@@ -275,7 +976,11 @@ server.post("/google-auth", async(req, res) => {
 
         }
 
-        return res.status(200).json(formatDatatoSend(user));
+        if(user.two_factor.enabled) {
+            return res.status(200).json(formatTwoFactorChallenge(user));
+        }
+
+        return res.status(200).json(await formatDatatoSend(user, req));
 
     })
     .catch((err) => {
@@ -283,351 +988,2203 @@ server.post("/google-auth", async(req, res) => {
     })
 })
 
-server.post('/latest-blogs', (req, res) => {
+// Second step of sign in for users with two factor authentication
+server.post("/2fa/verify", (req, res) => {
+    let { two_factor_token, code } = req.body;
 
-    let {page} = req.body;
+    jwt.verify(two_factor_token, getTwoFactorSecret(), (err, payload) => {
+        if(err) {
+            return res.status(403).json({ error: "Sign in session has expired. Sign in again" });
+        }
 
-    let maxLimit = 5;
+        if(getTwoFactorAttempts(payload.id) >= twoFactorMaxAttempts) {
+            return res.status(403).json({ error: `Too many wrong codes. Try again in ${twoFactorLockMinutes} minutes` });
+        }
+
+        User.findById(payload.id)
+        .then(async (user) => {
+            if(!user || !user.two_factor.enabled) {
+                return res.status(403).json({ error: "Sign in session has expired. Sign in again" });
+            }
+
+            if(isSuspended(user)) {
+                return res.status(403).json({ error: suspensionMessage(user) });
+            }
+
+            if(!verifyTwoFactorCode(user, code)) {
+                countTwoFactorFailure(user._id);
+                return res.status(403).json({ error: "Incorrect code" });
+            }
+
+            twoFactorAttempts.delete(String(user._id));
+
+            // saves the backup code removed or the time step kept by verifyTwoFactorCode
+            await user.save();
+
+            return res.status(200).json(await formatDatatoSend(user, req));
+        })
+        .catch(err => {
+            return res.status(500).json({ error: err.message });
+        })
+    })
+})
+
+server.get("/2fa/status", verifyJWT, (req, res) => {
+    User.findById(req.user)
+    .select("two_factor")
+    .then(user => {
+        return res.status(200).json({
+            enabled: user.two_factor.enabled,
+            backup_codes_left: user.two_factor.backup_codes.length
+        });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Creates a new secret and gives its QR code to scan in the authenticator app
+// two factor is enabled only after /2fa/enable confirms a code from the app
+server.post("/2fa/setup", verifyJWT, (req, res) => {
+    User.findById(req.user)
+    .then(async (user) => {
+        if(user.two_factor.enabled) {
+            return res.status(403).json({ error: "Two factor authentication is already enabled" });
+        }
+
+        let secret = authenticator.generateSecret();
+        let otpauth_url = authenticator.keyuri(user.personal_info.email, "MERN Blogging Website", secret);
+
+        user.two_factor.pending_secret = secret;
+        await user.save();
+
+        let qr_code = await QRCode.toDataURL(otpauth_url);
+
+        return res.status(200).json({ secret, otpauth_url, qr_code });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/2fa/enable", verifyJWT, (req, res) => {
+    let { code } = req.body;
+
+    User.findById(req.user)
+    .then(async (user) => {
+        let { pending_secret } = user.two_factor;
+
+        if(!pending_secret) {
+            return res.status(403).json({ error: "Scan the QR code first" });
+        }
+
+        if(!authenticator.check(String(code || "").trim(), pending_secret)) {
+            return res.status(403).json({ error: "Incorrect code" });
+        }
+
+        let backup_codes = generateBackupCodes();
+
+        user.two_factor = {
+            enabled: true,
+            secret: pending_secret,
+            pending_secret: null,
+            backup_codes: backup_codes.map(hashToken)
+        };
+        await user.save();
+
+        return res.status(200).json({ enabled: true, backup_codes });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/2fa/disable", verifyJWT, (req, res) => {
+    let { code } = req.body;
+
+    User.findById(req.user)
+    .then(async (user) => {
+        if(!user.two_factor.enabled) {
+            return res.status(403).json({ error: "Two factor authentication is not enabled" });
+        }
+
+        if(!verifyTwoFactorCode(user, code)) {
+            return res.status(403).json({ error: "Incorrect code" });
+        }
+
+        user.two_factor = { enabled: false, secret: null, pending_secret: null, backup_codes: [] };
+        await user.save();
+
+        return res.status(200).json({ enabled: false });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Replaces all backup codes, the old ones stop working
+server.post("/2fa/backup-codes", verifyJWT, (req, res) => {
+    let { code } = req.body;
+
+    User.findById(req.user)
+    .then(async (user) => {
+        if(!user.two_factor.enabled) {
+            return res.status(403).json({ error: "Two factor authentication is not enabled" });
+        }
+
+        if(!verifyTwoFactorCode(user, code)) {
+            return res.status(403).json({ error: "Incorrect code" });
+        }
+
+        let backup_codes = generateBackupCodes();
+
+        user.two_factor.backup_codes = backup_codes.map(hashToken);
+        await user.save();
+
+        return res.status(200).json({ backup_codes });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Gives a new access token for a valid refresh token
+// refresh token is rotated on every use so the old one can't be used again after a short reuse window
+server.post("/refresh-token", (req, res) => {
+    let { refresh_token } = req.body;
+
+    if(!refresh_token) {
+        return res.status(401).json({ error: "No refresh token" });
+    }
+
+    let tokenHash = hashToken(refresh_token);
+
+    Session.findOne({ $or: [{ token: tokenHash }, { previous_token: tokenHash }] })
+    .populate("user", "personal_info.fullname personal_info.username personal_info.profile_img google_auth email_verified role suspension")
+    .then(session => {
+        if(!session || session.revoked || session.expiresAt < new Date() || !session.user) {
+            return res.status(403).json({ error: "Refresh token is invalid" });
+        }
+
+        if(isSuspended(session.user)) {
+            return res.status(403).json({ error: suspensionMessage(session.user) });
+        }
+
+        let reused = session.previous_token === tokenHash;
+
+        // an already rotated token is used again after the reuse window, someone else has a copy of it so end the session
+        if(reused && (!session.rotatedAt || Date.now() - session.rotatedAt.getTime() > refreshTokenReuseSeconds * 1000)) {
+            session.revoked = true;
+            return session.save().then(() => {
+                return res.status(403).json({ error: "Refresh token is invalid" });
+            })
+        }
+
+        // in the reuse window this is the token the session already has
+        let new_refresh_token = rotateRefreshToken(tokenHash);
+
+        if(!reused) {
+            session.previous_token = tokenHash;
+            session.token = hashToken(new_refresh_token);
+            session.rotatedAt = new Date();
+            session.expiresAt = getRefreshTokenExpiry();
+        }
+
+        session.lastUsedAt = new Date();
+        session.ip = getClientIp(req);
+
+        return session.save().then(() => {
+            let { user } = session;
+
+            const access_token = jwt.sign({id: user._id, session: session._id}, process.env.MY_SECRET_ACCESS_KEY, { expiresIn: accessTokenExpiry });
+
+            return res.status(200).json({
+                access_token,
+                refresh_token: new_refresh_token,
+                ...formatUserData(user)
+            })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Revokes the refresh token so the device has to sign in again
+server.post("/signout", (req, res) => {
+    let { refresh_token } = req.body;
+
+    if(!refresh_token) {
+        return res.status(200).json({ status: "signed out" });
+    }
+
+    Session.findOneAndUpdate({ token: hashToken(refresh_token) }, { revoked: true })
+    .then(() => {
+        return res.status(200).json({ status: "signed out" });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Mails a password reset link to the user
+// response is the same whether the email exists or not so it can't be used to find accounts
+server.post("/forgot-password", (req, res) => {
+    let { email } = req.body;
+
+    if(!email || !emailRegex.test(email)) {
+        return res.status(403).json({ error: "Invalid email" });
+    }
+
+    let message = "If an account exists for this email, a password reset link has been sent";
+
+    User.findOne({ "personal_info.email": email.toLowerCase() })
+    .then(async (user) => {
+        // google accounts don't have a password to reset
+        if(!user || user.google_auth) {
+            return res.status(200).json({ status: message });
+        }
+
+        let token = await createMailToken(user, "password-reset", passwordResetExpiryMinutes);
+        let link = `${process.env.MY_FRONTEND_DOMAIN}/reset-password/${token}`;
+
+        await sendMail({
+            to: user.personal_info.email,
+            subject: "Reset your password",
+            text: `Hi ${user.personal_info.fullname},\n\nUse the link below to reset your password. It expires in ${passwordResetExpiryMinutes} minutes and can be used only once.\n\n${link}\n\nIf you didn't ask for this, you can ignore this mail.`,
+            html: `<p>Hi ${escapeHtml(user.personal_info.fullname)},</p><p>Use the link below to reset your password. It expires in ${passwordResetExpiryMinutes} minutes and can be used only once.</p><p><a href="${link}">Reset password</a></p><p>If you didn't ask for this, you can ignore this mail.</p>`
+        });
+
+        return res.status(200).json({ status: message });
+    })
+    .catch(err => {
+        console.log(err.message);
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Sets a new password using the token from the reset mail
+server.post("/reset-password", (req, res) => {
+    let { token, password } = req.body;
+
+    if(!token) {
+        return res.status(403).json({ error: "Password reset link is invalid" });
+    }
+
+    if(!passwordRegex.test(password)) {
+        return res.status(403).json({
+            error: "Password must contain 6 to 20 characters long, contain at least 1 uppercase letter, 1 lowercase letter, and 1 number"
+        });
+    }
+
+    // token is marked used in the same query so it can't be used twice
+    Token.findOneAndUpdate({ token: hashToken(token), type: "password-reset", used: false, expiresAt: { $gt: new Date() } }, { used: true })
+    .then(resetToken => {
+        if(!resetToken) {
+            return res.status(403).json({ error: "Password reset link is invalid or has expired" });
+        }
+
+        return bcrypt.hash(password, 10)
+        .then(hashedPassword => User.findOneAndUpdate({ _id: resetToken.user }, { "personal_info.password": hashedPassword }))
+        .then(() => {
+            // sign out every device, whoever had the old password may be logged in
+            return Session.updateMany({ user: resetToken.user }, { revoked: true });
+        })
+        .then(() => {
+            return res.status(200).json({ status: "Password has been reset" });
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Marks the email as verified using the token from the verification mail
+server.post("/verify-email", (req, res) => {
+    let { token } = req.body;
+
+    if(!token) {
+        return res.status(403).json({ error: "Verification link is invalid" });
+    }
+
+    Token.findOneAndUpdate({ token: hashToken(token), type: "email-verification", used: false, expiresAt: { $gt: new Date() } }, { used: true })
+    .then(verificationToken => {
+        if(!verificationToken) {
+            return res.status(403).json({ error: "Verification link is invalid or has expired" });
+        }
+
+        return User.findOneAndUpdate({ _id: verificationToken.user }, { email_verified: true })
+        .then(() => {
+            return res.status(200).json({ email_verified: true });
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/resend-verification", verifyJWT, (req, res) => {
+    User.findById(req.user)
+    .then(async (user) => {
+        if(isEmailVerified(user)) {
+            return res.status(403).json({ error: "Email is already verified" });
+        }
+
+        // every mail replaces the previous token, so a recent unused one means a mail was just sent
+        let recentlySent = await Token.exists({
+            user: user._id,
+            type: "email-verification",
+            used: false,
+            createdAt: { $gt: new Date(Date.now() - verificationResendSeconds * 1000) }
+        });
+
+        if(recentlySent) {
+            return res.status(403).json({ error: "Verification mail was just sent, wait a minute before asking for another one" });
+        }
+
+        await sendVerificationMail(user);
+
+        return res.status(200).json({ status: "Verification mail sent" });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Devices the user is signed in on
+server.get("/sessions", verifyJWT, (req, res) => {
+    Session.find({ user: req.user, revoked: false, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .select("device ip createdAt lastUsedAt")
+    .then(sessions => {
+        sessions = sessions.map(session => {
+            return { ...session.toObject(), current: String(session._id) === req.session_id };
+        })
+
+        return res.status(200).json({ sessions });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/revoke-session", verifyJWT, (req, res) => {
+    let { session_id } = req.body;
+
+    if(!mongoose.isValidObjectId(session_id)) {
+        return res.status(403).json({ error: "Session not found" });
+    }
+
+    Session.findOneAndUpdate({ _id: session_id, user: req.user }, { revoked: true })
+    .then(session => {
+        if(!session) {
+            return res.status(403).json({ error: "Session not found" });
+        }
+
+        return res.status(200).json({ status: "Session revoked" });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Signs out of every device, the current one included
+server.post("/revoke-all-sessions", verifyJWT, (req, res) => {
+    Session.updateMany({ user: req.user, revoked: false }, { revoked: true })
+    .then(() => {
+        return res.status(200).json({ status: "Signed out of all devices" });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/change-password", verifyJWT, (req, res) => {
+    let { currentPassword, newPassword } = req.body;
+
+    if(!passwordRegex.test(newPassword)) {
+        return res.status(403).json({
+            error: "Password must contain 6 to 20 characters long, contain at least 1 uppercase letter, 1 lowercase letter, and 1 number"
+        });
+    }
+
+    User.findById(req.user)
+    .then(user => {
+        if(user.google_auth) {
+            return res.status(403).json({ error: "You can't change the password of an account which signs in with google" });
+        }
+
+        bcrypt.compare(currentPassword || "", user.personal_info.password, (err, result) => {
+            if(err) {
+                return res.status(500).json({ error: "Error occured while changing the password, try again" });
+            }
+
+            if(!result) {
+                return res.status(403).json({ error: "Incorrect current password" });
+            }
+
+            bcrypt.hash(newPassword, 10)
+            .then(hashedPassword => User.findOneAndUpdate({ _id: req.user }, { "personal_info.password": hashedPassword }))
+            .then(() => {
+                // keep this device signed in and sign out every other one
+                return Session.updateMany({ user: req.user, _id: { $ne: req.session_id } }, { revoked: true });
+            })
+            .then(() => {
+                return res.status(200).json({ status: "Password changed" });
+            })
+            .catch(err => {
+                return res.status(500).json({ error: err.message });
+            })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Admins give or take the moderator and admin roles
+server.post("/admin/update-role", verifyJWT, requireRole("admin"), (req, res) => {
+    let { username, role } = req.body;
+
+    if(!roles.includes(role)) {
+        return res.status(403).json({ error: `Role must be one of ${roles.join(", ")}` });
+    }
+
+    User.findOne({ "personal_info.username": username })
+    .select("role")
+    .then(user => {
+        if(!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        // there must always be an admin left who can give roles
+        if(String(user._id) === req.user && role !== "admin") {
+            return res.status(403).json({ error: "You can't remove your own admin role" });
+        }
+
+        user.role = role;
+
+        return user.save().then(() => {
+            return res.status(200).json({ username, role });
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post('/latest-blogs', (req, res) => {
+
+    let {page} = req.body;
+
+    let maxLimit = 5;
     
 
-    Blog.find({ draft: false })
-    .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
-    .sort({ "publishedAt": -1 })
-    .select("blog_id title des banner activity tags publishedAt -_id")
-    .skip((page-1) * maxLimit)
-    .limit(maxLimit)
+    publicBlogsFilter()
+    .then(filter => {
+        return Blog.find(filter)
+        .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+        .sort({ "publishedAt": -1 })
+        .select("blog_id title des banner activity tags publishedAt -_id")
+        .skip((page-1) * maxLimit)
+        .limit(maxLimit)
+    })
     .then(blogs => {
         return res.status(200).json({ blogs })
     })
     .catch(err => {
-        return res.status(500).json({ error: err.message })
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/all-latest-blogs-count", (req, res) => {
+    publicBlogsFilter()
+    .then(filter => Blog.countDocuments(filter))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count })
+    })
+    .catch(err => {
+        console.log(err.message);
+        return res.status(500).json({error: err.message})
+    })
+})
+
+// latest blogs of the authors the signed in user follows
+const followingBlogsFilter = (user_id) => {
+    return User.findById(user_id)
+    .select("following")
+    .then(user => publicBlogsFilter({ author: { $in: user ? user.following : [] } }));
+}
+
+server.post("/following-blogs", verifyJWT, (req, res) => {
+    let { page = 1 } = req.body;
+
+    let maxLimit = 5;
+
+    followingBlogsFilter(req.user)
+    .then(filter => {
+        return Blog.find(filter)
+        .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+        .sort({ "publishedAt": -1 })
+        .select("blog_id title des banner activity tags publishedAt -_id")
+        .skip((page - 1) * maxLimit)
+        .limit(maxLimit)
+    })
+    .then(blogs => {
+        return res.status(200).json({ blogs });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/following-blogs-count", verifyJWT, (req, res) => {
+    followingBlogsFilter(req.user)
+    .then(filter => Blog.countDocuments(filter))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Followed tags of the signed in user and the feed of blogs with any of them
+
+server.get("/followed-tags", verifyJWT, (req, res) => {
+    User.findById(req.user)
+    .select("followed_tags")
+    .then(user => {
+        return res.status(200).json({ followed_tags: user.followed_tags });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/follow-tag", verifyJWT, (req, res) => {
+    let { tag, follow } = req.body;
+
+    tag = String(tag || "").trim().toLowerCase();
+
+    if(!tag.length) {
+        return res.status(403).json({ error: "Choose a tag to follow" });
+    }
+
+    User.findById(req.user)
+    .select("followed_tags")
+    .then(user => {
+        if(follow && !user.followed_tags.includes(tag) && user.followed_tags.length >= maxFollowedTags) {
+            return res.status(403).json({ error: `You can follow at most ${maxFollowedTags} tags` });
+        }
+
+        return User.findOneAndUpdate({ _id: req.user }, follow ? { $addToSet: { followed_tags: tag } } : { $pull: { followed_tags: tag } }, { new: true })
+        .select("followed_tags")
+        .then(user => {
+            return res.status(200).json({ followed_tags: user.followed_tags });
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+const followedTagsBlogsFilter = (user_id) => {
+    return User.findById(user_id)
+    .select("followed_tags")
+    .then(user => publicBlogsFilter({ tags: { $in: user ? user.followed_tags : [] } }));
+}
+
+server.post("/followed-tags-blogs", verifyJWT, (req, res) => {
+    let { page = 1 } = req.body;
+
+    let maxLimit = 5;
+
+    followedTagsBlogsFilter(req.user)
+    .then(filter => {
+        return Blog.find(filter)
+        .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+        .sort({ "publishedAt": -1 })
+        .select("blog_id title des banner activity tags publishedAt -_id")
+        .skip((page - 1) * maxLimit)
+        .limit(maxLimit)
+    })
+    .then(blogs => {
+        return res.status(200).json({ blogs });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/followed-tags-blogs-count", verifyJWT, (req, res) => {
+    followedTagsBlogsFilter(req.user)
+    .then(filter => Blog.countDocuments(filter))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// tags used by the most published blogs
+server.get("/popular-tags", (req, res) => {
+    let limit = 10;
+
+    publicBlogsFilter()
+    .then(filter => {
+        return Blog.aggregate([
+            { $match: filter },
+            { $unwind: "$tags" },
+            { $group: { _id: "$tags", total_posts: { $sum: 1 } } },
+            { $sort: { total_posts: -1, _id: 1 } },
+            { $limit: limit }
+        ])
+    })
+    .then(tags => {
+        return res.status(200).json({ tags: tags.map(({ _id, total_posts }) => ({ tag: _id, total_posts })) });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Overview of a tag for its page: number of posts, the authors who write the most with it and the most read posts
+// the latest posts of the tag come from /search-blogs
+server.post("/tag-stats", (req, res) => {
+    let tag = String(req.body.tag || "").trim().toLowerCase();
+
+    publicBlogsFilter({ tags: tag })
+    .then(filter => {
+        return Promise.all([
+            Blog.aggregate([
+                { $match: filter },
+                { $group: { _id: null, total_posts: { $sum: 1 }, total_reads: { $sum: "$activity.total_reads" }, total_likes: { $sum: "$activity.total_likes" } } }
+            ]),
+            Blog.aggregate([
+                { $match: filter },
+                { $group: { _id: "$author", total_posts: { $sum: 1 }, total_reads: { $sum: "$activity.total_reads" } } },
+                { $sort: { total_posts: -1, total_reads: -1 } },
+                { $limit: 5 }
+            ]),
+            Blog.find(filter)
+            .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+            .sort({ "activity.total_reads": -1, "publishedAt": -1 })
+            .select("blog_id title publishedAt activity -_id")
+            .limit(5)
+        ])
+    })
+    .then(async ([ totals, authors, most_read ]) => {
+        let { total_posts = 0, total_reads = 0, total_likes = 0 } = totals[0] || {};
+
+        let users = await User.find({ _id: { $in: authors.map(({ _id }) => _id) } })
+        .select("personal_info.profile_img personal_info.username personal_info.fullname");
+
+        let top_authors = authors.map(({ _id, total_posts, total_reads }) => {
+            let user = users.find(user => String(user._id) == String(_id));
+            return user && { personal_info: user.personal_info, total_posts, total_reads };
+        }).filter(Boolean);
+
+        return res.status(200).json({ tag, total_posts, total_reads, total_likes, top_authors, most_read });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Trending tags are ranked from the blogs published in the last `days`: how many were published
+// and how much they were read and liked. The ranking is cached per window for trendingTagsCacheMinutes
+const trendingTagsCache = new Map();
+
+const getTrendingTags = async (days) => {
+    let cached = trendingTagsCache.get(days);
+
+    if(cached && cached.expiresAt > Date.now()) {
+        return cached.tags;
+    }
+
+    let filter = await publicBlogsFilter({ publishedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } });
+
+    let tags = await Blog.aggregate([
+        { $match: filter },
+        { $unwind: "$tags" },
+        { $group: {
+            _id: "$tags",
+            total_posts: { $sum: 1 },
+            total_reads: { $sum: "$activity.total_reads" },
+            total_likes: { $sum: "$activity.total_likes" }
+        } },
+        // a new post counts like 10 reads and a like like 3 reads
+        { $addFields: { score: { $add: [ { $multiply: [ "$total_posts", 10 ] }, { $multiply: [ "$total_likes", 3 ] }, "$total_reads" ] } } },
+        { $sort: { score: -1, _id: 1 } },
+        { $limit: 10 }
+    ]);
+
+    tags = tags.map(({ _id, ...stats }) => ({ tag: _id, ...stats }));
+
+    trendingTagsCache.set(days, { tags, expiresAt: Date.now() + trendingTagsCacheMinutes * 60 * 1000 });
+
+    return tags;
+}
+
+server.get("/trending-tags", (req, res) => {
+    let days = parseInt(req.query.days) || trendingTagsDays;
+
+    if(days < 1 || days > trendingTagsMaxDays) {
+        return res.status(403).json({ error: `Window must be between 1 and ${trendingTagsMaxDays} days` });
+    }
+
+    getTrendingTags(days)
+    .then(tags => {
+        return res.status(200).json({ tags, days });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.get('/trending-blogs', (req, res) => {
+    
+    // window is day, week or month
+    let window = trendingWindows[req.query.window] ? req.query.window : "week";
+
+    publicBlogsFilter()
+    .then(filter => {
+        return Blog.find(filter)
+        .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+        .sort({ [`trending_score.${window}`]: -1, "activity.total_reads": -1, "activity.total_likes": -1, "publishedAt": -1 })
+        .select("blog_id title publishedAt -_id")
+        .limit(5)
+    })
+    .then(blogs => {
+        return res.status(200).json({blogs})
+    })
+    .catch(err => {
+        return res.status(500).json({
+            error: err.message
+        })
+    })
+})
+
+server.post("/search-blogs", (req, res) => {
+    let { tag, query, author, page, limit, eliminate_blog } = req.body;
+
+    let findQuery;
+    
+    if(tag) {
+        findQuery = { tags: tag, draft: false, blog_id: { $ne: eliminate_blog} };
+    }
+    else if(query) {
+        findQuery = { draft: false, title: new RegExp(query, 'i') }
+    }
+    else if( author) {
+        findQuery = { author, draft: false}
+    }
+
+    let maxLimit = limit ? limit : 2;
+
+    publicBlogsFilter(findQuery)
+    .then(filter => {
+        return Blog.find(filter)
+        .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
+        .sort({ "publishedAt": -1 })
+        .select("blog_id title des banner activity tags publishedAt -_id")
+        .skip((page-1) *maxLimit)
+        .limit(maxLimit)
+    })
+    .then(blogs => {
+        return res.status(200).json({ blogs })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message })
+    })
+})
+
+server.post("/search-blogs-count", (req, res) => {
+    let {tag, author, query} = req.body;
+
+    let findQuery;
+    
+    if(tag) {
+        findQuery = { tags: tag, draft: false };
+    }
+    else if(query) {
+        findQuery = { draft: false, title: new RegExp(query, 'i') }
+    }else if( author) {
+        findQuery = { author, draft: false}
+    }
+
+    publicBlogsFilter(findQuery)
+    .then(filter => Blog.countDocuments(filter))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count })
+    })
+    .catch(err => {
+        console.log(err.message);
+        return res.status(500).json({error: err.message})
+    }) 
+})
+
+// for searching the user
+server.post("/search-users", (req, res) => {
+    let { query } = req.body;
+    User.find({"personal_info.username": new RegExp(query, 'i')})
+    .limit(50)
+    .select("personal_info.fullname personal_info.username personal_info.profile_img -_id")
+    .then(users => {
+        return res.status(200).json({users})
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message})
+    })
+})
+
+server.post("/get-profile", (req, res) => {
+    let {username} = req.body;
+
+    // an old username gives the profile of its owner, frontend redirects to the current username
+    // old usernames are reserved for their owner so only one user can match
+    User.findOne({ $or: [{"personal_info.username": username}, {"personal_info.previous_usernames": username}] })
+    // the profile is public, moderation details, the role and the account state stay on the server
+    .select("-personal_info.password -personal_info.previous_usernames -google_auth -two_factor -suspension -role -email_verified -updatedAt -blogs -following -followed_tags")
+    .then(user => {
+        return res.status(200).json(user)
+    })
+    .catch(err => {
+        console.log(err);
+        return res.status(500).json({error: err.message})
+    })
+})
+
+// follow or unfollow an author, the filters on following make repeated requests change nothing
+server.post("/follow-user", verifyJWT, (req, res) => {
+    let { username, follow } = req.body;
+
+    User.findOne({ "personal_info.username": username })
+    .select("account_info")
+    .then(async (author) => {
+        if(!author) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        if(String(author._id) == req.user) {
+            return res.status(403).json({ error: "You can't follow yourself" });
+        }
+
+        let { modifiedCount } = follow ?
+            await User.updateOne({ _id: req.user, following: { $ne: author._id } }, { $push: { following: author._id }, $inc: { "account_info.total_following": 1 } }) :
+            await User.updateOne({ _id: req.user, following: author._id }, { $pull: { following: author._id }, $inc: { "account_info.total_following": -1 } });
+
+        if(modifiedCount) {
+            author = await User.findOneAndUpdate({ _id: author._id }, { $inc: { "account_info.total_followers": follow ? 1 : -1 } }, { new: true }).select("account_info");
+
+            if(follow) {
+                new Notification({ type: "follow", notification_for: author._id, user: req.user }).save()
+                .then(notification => pushNotification(notification))
+                .catch(err => console.log(err.message));
+            }
+            else {
+                await Notification.deleteOne({ type: "follow", notification_for: author._id, user: req.user });
+            }
+        }
+
+        return res.status(200).json({ following: Boolean(follow), total_followers: author.account_info.total_followers });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/is-following", verifyJWT, (req, res) => {
+    let { username } = req.body;
+
+    User.findOne({ "personal_info.username": username })
+    .select("_id")
+    .then(author => {
+        if(!author) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        return User.exists({ _id: req.user, following: author._id })
+        .then(result => {
+            return res.status(200).json({ following: Boolean(result) });
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/update-profile-img", verifyJWT, (req, res) => {
+    let { url } = req.body;
+
+    // only images uploaded through /get-upload-url are accepted
+    if(typeof url !== "string" || !url.startsWith(`https://${s3BucketName}.s3.`)) {
+        return res.status(403).json({ error: "Upload the image before updating the profile image" });
+    }
+
+    User.findOneAndUpdate({ _id: req.user }, { "personal_info.profile_img": url })
+    .then(() => {
+        return res.status(200).json({ profile_img: url });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/update-profile", verifyJWT, (req, res) => {
+    let { username, bio = "", social_links = {} } = req.body;
+
+    if(typeof bio !== "string" || bio.length > bioLimit) {
+        return res.status(403).json({ error: `Bio should not be more than ${bioLimit} characters` });
+    }
+
+    let socialLinksError = validateSocialLinks(social_links);
+
+    if(socialLinksError) {
+        return res.status(403).json({ error: socialLinksError });
+    }
+
+    let updateObj = { "personal_info.bio": bio.trim() };
+
+    for(let platform of Object.keys(social_links)) {
+        updateObj[`social_links.${platform}`] = social_links[platform].trim();
+    }
+
+    User.findById(req.user)
+    .select("personal_info.username")
+    .then(async (user) => {
+
+        // only a new username is validated, usernames made at signup can have characters the regex doesn't allow
+        if(username && username !== user.personal_info.username) {
+
+            if(!usernameRegex.test(username)) {
+                return res.status(403).json({ error: "Username must be 3 to 30 characters long and can contain only letters, numbers, dots and underscores" });
+            }
+
+            if(await isUsernameTaken(username, req.user)) {
+                return res.status(403).json({ error: "Username is already taken" });
+            }
+
+            // the old username is kept so /get-profile can redirect it to the new one
+            updateObj["personal_info.username"] = username;
+            updateObj.$addToSet = { "personal_info.previous_usernames": user.personal_info.username };
+        }
+
+        return User.findOneAndUpdate({ _id: req.user }, updateObj, { new: true, runValidators: true })
+        .select("personal_info.username personal_info.bio social_links")
+        .then(user => {
+            return res.status(200).json({ username: user.personal_info.username, bio: user.personal_info.bio, social_links: user.social_links });
+        })
+    })
+    .catch(err => {
+        if(err.code === 11000) {
+            return res.status(403).json({ error: "Username is already taken" });
+        }
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// create post is the method where user can crete post
+// but it should be an authenticate user which is verified by Middleware using access_token
+server.post('/create-blog', verifyJWT, verifyEmail, (req, res) => {
+    let authorId = req.user;
+    let { title, des, banner, tags, content, draft, id, scheduledAt } = req.body;
+
+    // validate
+    if(!title.length) {
+        return res.status(403).json( {
+            error: "You must provide a title"
+        });
+    }
+
+    // validate if draft==false
+    if(!draft) {
+
+        if(!des.length || des.length > 200) {
+            return res.status(403).json( {
+                error: "You must provide blog description under 200 characters"
+            });
+        }
+    
+        if(!banner.length) {
+            return res.status(403).json( {
+                error: "You must provide blog banner to publish it"
+            });
+        }
+    
+        if(!content.blocks.length) {
+            return res.status(403).json( {
+                error: "There must be some blog content to publish it"
+            });
+        }
+    
+        if(!tags.length || tags.length > 10) {
+            return res.status(403).json( {
+                error: "Provide tags in order to publish the blog, Maximum is 10"
+            });
+        }
+
+    }
+
+
+    // a scheduled blog is saved as a draft until the scheduler publishes it, saving a draft cancels the schedule
+    scheduledAt = !draft && scheduledAt ? new Date(scheduledAt) : null;
+
+    if(scheduledAt) {
+        if(isNaN(scheduledAt) || scheduledAt <= new Date()) {
+            return res.status(403).json({ error: "Schedule time must be in the future" });
+        }
+
+        if(scheduledAt > new Date(Date.now() + maxScheduleDays * 24 * 60 * 60 * 1000)) {
+            return res.status(403).json({ error: `Blogs can be scheduled at most ${maxScheduleDays} days ahead` });
+        }
+
+        draft = true;
+    }
+
+    // 'Tech' tag is not different then 'tech' tag
+    tags = tags.map(tag => tag.toLowerCase());
+
+    let blog_id = id || title.replace(/[^a-zA-Z0-9]/g, ' ').replace(/\s+/g, "-").trim() + nanoid();
+
+    if(id) {
+        // only the author can edit the blog
+        Blog.findOne({ blog_id, author: authorId })
+        .then(async (blog) => {
+            if(!blog) {
+                return res.status(403).json({ error: "You can only edit your own blogs" });
+            }
+
+            if(scheduledAt && !blog.draft) {
+                return res.status(403).json({ error: "This blog is already published" });
+            }
+
+            // draft is true for a scheduled blog too
+            if(blog.unpublished_by && (!draft || scheduledAt)) {
+                return res.status(403).json({ error: "This blog was taken down by a moderator and can't be published, you can still save it as a draft" });
+            }
+
+            let wasDraft = blog.draft;
+
+            blog.set({ title, des, banner, content, tags, draft: Boolean(draft), scheduledAt });
+            await blog.save();
+
+            // publishing a draft or saving a published blog as draft changes the post count
+            if(wasDraft != blog.draft) {
+                await User.updateOne({ _id: authorId }, { $inc: { "account_info.total_posts": blog.draft ? -1 : 1 } });
+            }
+
+            if(!blog.draft) {
+                await promoteToAuthor(authorId);
+            }
+
+            await saveRevision(blog, authorId);
+
+            return res.status(200).json({ id: blog_id, scheduledAt });
+        })
+        .catch(err => {
+            return res.status(500).json({error: err.message});
+        })
+    }
+
+    else {
+
+        // new blog instance is made
+        let blog = new Blog( {
+            title, des, banner, content, tags, author: authorId, blog_id, draft: Boolean(draft), scheduledAt
+        })
+    
+        // mongodb save the blog
+        blog.save().then(async (blog) => {
+            let incrementVal = draft ? 0 : 1;
+
+            await saveRevision(blog, authorId);
+    
+            User.findOneAndUpdate(
+                { _id: authorId}, 
+                { $inc: { "account_info.total_posts" : incrementVal },
+                $push: { "blogs": blog._id }
+            })
+            .then(user => {
+                return draft ? user : promoteToAuthor(authorId).then(() => user);
+            })
+            .then(user => {
+                return res.status(200).json( {
+                    id: blog.blog_id,
+                    scheduledAt
+                })
+            })
+            .catch(err => {
+                return res.status(500).json({
+                    error: "Failed to update total posts number"
+                })
+            })
+        })
+        .catch(err => {
+            return res.status(500).json({
+                error: err.message
+            })
+        })
+    }
+
+})
+
+// Revision history of a blog, only for its author
+
+// finds the blog of the signed in author by its blog_id
+const findOwnBlog = (blog_id, user_id) => {
+    return Blog.findOne({ blog_id, author: user_id });
+}
+
+server.post("/blog-revisions", verifyJWT, (req, res) => {
+    let { blog_id } = req.body;
+
+    findOwnBlog(blog_id, req.user)
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        return BlogRevision.find({ blog: blog._id })
+        .sort({ savedAt: -1 })
+        .select("title draft restored_from savedAt")
+        .then(revisions => {
+            return res.status(200).json({ revisions });
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// block by block difference from the revision "from" to the revision "to"
+server.post("/blog-revision-diff", verifyJWT, (req, res) => {
+    let { blog_id, from, to } = req.body;
+
+    if(!mongoose.isValidObjectId(from) || !mongoose.isValidObjectId(to)) {
+        return res.status(404).json({ error: "Revision not found" });
+    }
+
+    findOwnBlog(blog_id, req.user)
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        return BlogRevision.find({ _id: { $in: [from, to] }, blog: blog._id })
+        .then(revisions => {
+            let before = revisions.find(({ _id }) => String(_id) === from);
+            let after = revisions.find(({ _id }) => String(_id) === to);
+
+            if(!before || !after) {
+                return res.status(404).json({ error: "Revision not found" });
+            }
+
+            let fields = {};
+
+            for(let field of ["title", "des", "banner"]) {
+                if(before[field] !== after[field]) {
+                    fields[field] = { before: before[field], after: after[field] };
+                }
+            }
+
+            if(before.tags.join() !== after.tags.join()) {
+                fields.tags = { before: before.tags, after: after.tags };
+            }
+
+            return res.status(200).json({ fields, blocks: diffBlocks(getBlocks(before.content), getBlocks(after.content)) });
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Puts the title, description, banner, tags and content of a revision back in the blog
+// the blog stays published or draft as it is now, and the restore is saved as a new revision
+server.post("/restore-blog-revision", verifyJWT, (req, res) => {
+    let { blog_id, revision_id } = req.body;
+
+    if(!mongoose.isValidObjectId(revision_id)) {
+        return res.status(404).json({ error: "Revision not found" });
+    }
+
+    findOwnBlog(blog_id, req.user)
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        return BlogRevision.findOne({ _id: revision_id, blog: blog._id })
+        .then(async (revision) => {
+            if(!revision) {
+                return res.status(404).json({ error: "Revision not found" });
+            }
+
+            let { title, des, banner, content, tags } = revision;
+
+            // a published blog must keep everything that /create-blog asks for when publishing
+            if(!blog.draft && (!des || !banner || !getBlocks(content).length || !tags.length)) {
+                return res.status(403).json({ error: "This revision is incomplete and can't be restored on a published blog" });
+            }
+
+            Object.assign(blog, { title, des, banner, content, tags });
+            await blog.save();
+
+            await saveRevision(blog, req.user, revision._id);
+
+            return res.status(200).json({ blog: { title, des, banner, content, tags } });
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// the author moves a published blog back to drafts
+server.post("/unpublish-blog", verifyJWT, (req, res) => {
+    let { blog_id } = req.body;
+
+    findOwnBlog(blog_id, req.user)
+    .then(async (blog) => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        await unpublishBlog(blog);
+        await saveRevision(blog, req.user);
+
+        return res.status(200).json({ draft: true });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// the author deletes the blog with its comments, notifications and history
+server.post("/delete-blog", verifyJWT, (req, res) => {
+    let { blog_id } = req.body;
+
+    findOwnBlog(blog_id, req.user)
+    .then(async (blog) => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        await deleteBlog(blog);
+
+        return res.status(200).json({ status: "Blog deleted" });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Blogs of the signed in author for the dashboard, published ones or drafts, searchable by title
+
+const userWrittenBlogsQuery = (user_id, draft, query) => {
+    let findQuery = { author: user_id, draft: Boolean(draft) };
+
+    if(query) {
+        findQuery.title = new RegExp(escapeRegex(query), "i");
+    }
+
+    return findQuery;
+}
+
+server.post("/user-written-blogs", verifyJWT, (req, res) => {
+    let { page = 1, draft, query } = req.body;
+
+    let maxLimit = 5;
+
+    Blog.find(userWrittenBlogsQuery(req.user, draft, query))
+    .sort(draft ? { updatedAt: -1 } : { publishedAt: -1 })
+    .skip((page - 1) * maxLimit)
+    .limit(maxLimit)
+    .select("title banner des publishedAt updatedAt scheduledAt unpublished_by blog_id activity draft -_id")
+    .then(blogs => {
+        return res.status(200).json({ blogs });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/user-written-blogs-count", verifyJWT, (req, res) => {
+    let { draft, query } = req.body;
+
+    Blog.countDocuments(userWrittenBlogsQuery(req.user, draft, query))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/get-blog", (req, res) => {
+    let { blog_id, draft, mode } = req.body;
+    let incrementVal = mode != "edit" ? 1 : 0;
+
+    // find the document and inc the total_reads by 1, updatedAt only changes when the author saves the blog
+    Blog.findOneAndUpdate({ blog_id }, {$inc: {"activity.total_reads": incrementVal}}, { timestamps: false })
+    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img")
+    .select("title des content banner activity publishedAt blog_id tags scheduledAt")
+    .then(blog => {
+
+        if(incrementVal) {
+            recordActivity(blog._id, "reads");
+        }
+
+        User.findOneAndUpdate({ "personal_info.username": blog.author.personal_info.username}, {
+            $inc: { "account_info.total_reads": incrementVal}
+        })
+        .catch(err => {
+            return res.status(500).json({ error: err.message })
+        })
+
+        if(blog.draft && !draft) {
+            return res.status(500).json({error: "you cannot access draft blogs" })
+        }
+
+        return res.status(200).json({ blog });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message});
+    })
+})
+
+server.post("/like-blog", verifyJWT, (req, res) => {
+    let user_id = req.user;
+    let { _id, islikedByUser } = req.body;
+
+    let incrementVal = !islikedByUser ? 1 : -1;
+
+    Blog.findOneAndUpdate({ _id }, { $inc: { "activity.total_likes":incrementVal } }, { timestamps: false })
+    .then(blog => {
+        recordActivity(_id, "likes", incrementVal);
+
+        if(!islikedByUser) {
+            let like = new Notification({
+                type: "like",
+                blog: _id,
+                notification_for: blog.author,
+                user: user_id
+            })
+
+            like.save().then(notification => {
+                pushNotification(notification).catch(err => console.log(err.message));
+
+                return res.status(200).json({ liked_by_user: true })
+            })
+        }
+        else {
+
+            Notification.findOneAndDelete({user: user_id, blog: _id, type: "like"})
+            .then(data => {
+                return res.status(200).json({liked_by_user: false})
+            })
+            .catch(err => {
+                return res.status(500).json({error: err.message})
+            })
+        }
+    })
+})
+
+server.post("/isliked-by-user", verifyJWT, (req, res) => {
+    let user_id = req.user;
+    let { _id }= req.body;
+
+    Notification.exists({user: user_id, type: "like", blog: _id})
+    .then(result => {
+        return res.status(200).json({result})
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message})
+    })
+
+})
+
+server.post("/add-comment", verifyJWT, verifyEmail, (req, res) => {
+    let user_id = req.user;
+
+    // replying_to is the _id of the comment this one replies to
+    let {_id, comment, replying_to} = req.body;
+
+    if(!comment.length) {
+        return res.status(403).json({error: "Write something to leave a comment"});
+    }
+
+    if(!mongoose.isValidObjectId(_id)) {
+        return res.status(404).json({ error: "Blog not found" });
+    }
+
+    if(replying_to && !mongoose.isValidObjectId(replying_to)) {
+        return res.status(404).json({ error: "The comment you are replying to doesn't exist" });
+    }
+
+    // the blog author is taken from the blog itself, never from the request
+    Promise.all([
+        Blog.findById(_id).select("author"),
+        replying_to ? Comment.findOne({ _id: replying_to, blog_id: _id }) : Promise.resolve(null)
+    ])
+    .then(([blog, parent]) => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        if(replying_to && !parent) {
+            return res.status(404).json({ error: "The comment you are replying to doesn't exist" });
+        }
+
+        let blog_author = blog.author;
+
+        // Creating a comment doc
+        let commentObj = new Comment({
+            blog_id: _id,
+            blog_author,
+            comment, 
+            commented_by: user_id,
+            isReply: Boolean(parent),
+            parent: parent ? parent._id : undefined
+        })
+
+        return commentObj.save().then(async commentFile => {
+            let { comment, commentedAt, children } = commentFile;
+
+            recordActivity(_id, "comments");
+
+            // only the top level comments are paginated with total_parent_comments
+            await Blog.findOneAndUpdate({ _id }, { $push: { "comments": commentFile._id }, $inc: {"activity.total_comments": 1, "activity.total_parent_comments": parent ? 0 : 1} }, { timestamps: false });
+
+            let notificationObj = {
+                type: parent ? "reply" : "comment",
+                blog: _id,
+                notification_for: parent ? parent.commented_by : blog_author,
+                user: user_id,
+                comment: commentFile._id
+            }
+
+            if(parent) {
+                notificationObj.replied_on_comment = parent._id;
+                await Comment.updateOne({ _id: parent._id }, { $push: { children: commentFile._id } });
+            }
+
+            new Notification(notificationObj).save().then(notification => pushNotification(notification))
+            .catch(err => console.log(err.message));
+
+            return res.status(200).json({
+                comment, commentedAt, _id: commentFile._id, user_id, children
+            })
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+
+})
+
+// the commenter edits their own comment, it is marked as edited
+server.post("/edit-comment", verifyJWT, verifyEmail, (req, res) => {
+    let { _id, comment } = req.body;
+
+    if(!comment || !comment.trim().length) {
+        return res.status(403).json({ error: "Write something to leave a comment" });
+    }
+
+    if(!mongoose.isValidObjectId(_id)) {
+        return res.status(404).json({ error: "Comment not found" });
+    }
+
+    Comment.findOneAndUpdate({ _id, commented_by: req.user }, { comment, edited: true }, { new: true })
+    .then(commentFile => {
+        if(!commentFile) {
+            return res.status(403).json({ error: "You can only edit your own comments" });
+        }
+
+        return res.status(200).json({ comment: commentFile.comment, edited: true });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// the commenter or the author of the blog deletes a comment with all its replies
+server.post("/delete-comment", verifyJWT, (req, res) => {
+    let { _id } = req.body;
+
+    if(!mongoose.isValidObjectId(_id)) {
+        return res.status(404).json({ error: "Comment not found" });
+    }
+
+    Comment.findById(_id)
+    .then(async (comment) => {
+        if(!comment) {
+            return res.status(404).json({ error: "Comment not found" });
+        }
+
+        let blog = await Blog.findById(comment.blog_id).select("author");
+
+        if(String(comment.commented_by) != req.user && (!blog || String(blog.author) != req.user)) {
+            return res.status(403).json({ error: "You can't delete this comment" });
+        }
+
+        let deleted_count = await deleteComment(_id);
+
+        return res.status(200).json({ deleted_count });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// top level comments of a blog, newest first. skip is the number of comments already loaded
+server.post("/get-blog-comments", (req, res) => {
+    let { blog_id, skip = 0 } = req.body;
+
+    let maxLimit = 5;
+
+    Comment.find({ blog_id, isReply: { $ne: true } })
+    .populate("commented_by", "personal_info.username personal_info.fullname personal_info.profile_img")
+    .skip(skip)
+    .limit(maxLimit)
+    .sort({ commentedAt: -1 })
+    .then(comments => {
+        return res.status(200).json({ comments });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// replies of a comment, same pagination as /get-blog-comments
+server.post("/get-replies", (req, res) => {
+    let { _id, skip = 0 } = req.body;
+
+    let maxLimit = 5;
+
+    Comment.find({ parent: _id })
+    .populate("commented_by", "personal_info.username personal_info.fullname personal_info.profile_img")
+    .skip(skip)
+    .limit(maxLimit)
+    .sort({ commentedAt: -1 })
+    .then(replies => {
+        return res.status(200).json({ replies });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Notifications of the signed in user, own likes and comments on own blogs are not notified
+
+// filter goes into the query as the type, so it has to be one of the types or "all"
+const isNotificationFilter = (filter) => {
+    return filter == "all" || Notification.schema.path("type").enumValues.includes(filter);
+}
+
+const notificationsQuery = (user_id, filter) => {
+    let findQuery = { notification_for: user_id, user: { $ne: user_id } };
+
+    if(filter && filter != "all") {
+        findQuery.type = filter;
+    }
+
+    return findQuery;
+}
+
+// unseen notifications, shown as the badge on the bell in the navbar
+server.get("/new-notifications-count", verifyJWT, (req, res) => {
+    Notification.countDocuments({ ...notificationsQuery(req.user), seen: false })
+    .then(count => {
+        return res.status(200).json({ count });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// filter is all, like, comment, reply or follow. The notifications of the page are marked as seen once they are fetched
+server.post("/notifications", verifyJWT, (req, res) => {
+    let { page = 1, filter = "all" } = req.body;
+
+    if(!isNotificationFilter(filter)) {
+        return res.status(403).json({ error: "Unknown notification filter" });
+    }
+
+    let maxLimit = 10;
+
+    Notification.find(notificationsQuery(req.user, filter))
+    .populate("blog", "title blog_id")
+    .populate("user", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+    .populate("comment", "comment")
+    .populate("replied_on_comment", "comment")
+    .populate("reply", "comment")
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * maxLimit)
+    .limit(maxLimit)
+    .select("createdAt type seen blog user comment replied_on_comment reply")
+    .then(notifications => {
+        let unseen = notifications.filter(({ seen }) => !seen).map(({ _id }) => _id);
+
+        return Notification.updateMany({ _id: { $in: unseen } }, { seen: true })
+        .then(() => {
+            return res.status(200).json({ notifications });
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// EventSource can't send headers, so the access token comes in the query string
+const streamAccessToken = (req, res, next) => {
+    if(req.query.access_token) {
+        req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+    }
+    next();
+}
+
+// live stream of the new notifications, the session is checked again on every push and heartbeat,
+// a revoked session or a suspension closes the stream and reconnecting is refused
+server.get("/notifications/stream", streamAccessToken, verifyJWT, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    let removeStream = addNotificationStream(req.user, res);
+
+    let heartbeat = setInterval(() => {
+        isStreamSessionActive(req.session_id, req.user)
+        .then(active => active ? res.write(": ping\n\n") : res.locals.closeStream())
+        .catch(err => console.log(err.message));
+    }, streamHeartbeatInterval);
+
+    res.locals.session_id = req.session_id;
+    res.locals.closeStream = () => {
+        clearInterval(heartbeat);
+        removeStream();
+        res.end();
+    }
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        removeStream();
+    });
+})
+
+server.post("/notifications-count", verifyJWT, (req, res) => {
+    let { filter = "all" } = req.body;
+
+    if(!isNotificationFilter(filter)) {
+        return res.status(403).json({ error: "Unknown notification filter" });
+    }
+
+    Notification.countDocuments(notificationsQuery(req.user, filter))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+// Admin area, moderators and admins manage users, blogs and comments from here
+
+server.get("/admin/stats", verifyJWT, requireRole("moderator"), (req, res) => {
+    Promise.all([
+        User.countDocuments(),
+        User.countDocuments(activeSuspensionFilter()),
+        Blog.countDocuments({ draft: false }),
+        Blog.countDocuments({ draft: true }),
+        Comment.countDocuments(),
+        Blog.aggregate([{ $group: { _id: null, total_reads: { $sum: "$activity.total_reads" }, total_likes: { $sum: "$activity.total_likes" } } }])
+    ])
+    .then(([ total_users, suspended_users, published_blogs, draft_blogs, total_comments, activity ]) => {
+        let { total_reads = 0, total_likes = 0 } = activity[0] || {};
+
+        return res.status(200).json({ total_users, suspended_users, published_blogs, draft_blogs, total_comments, total_reads, total_likes });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+const adminUsersQuery = (query) => {
+    if(!query) {
+        return {};
+    }
+
+    let regex = new RegExp(escapeRegex(query), 'i');
+
+    return { $or: [{ "personal_info.username": regex }, { "personal_info.fullname": regex }, { "personal_info.email": regex }] };
+}
+
+server.post("/admin/users", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { query, page = 1 } = req.body;
+
+    let maxLimit = 10;
+
+    User.find(adminUsersQuery(query))
+    .sort({ joinedAt: -1 })
+    .skip((page - 1) * maxLimit)
+    .limit(maxLimit)
+    .select("personal_info.fullname personal_info.username personal_info.email personal_info.profile_img account_info role suspension joinedAt")
+    .then(users => {
+        return res.status(200).json({ users });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/admin/users-count", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { query } = req.body;
+
+    User.countDocuments(adminUsersQuery(query))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/admin/suspend-user", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { user_id, suspend, reason = "", duration_days = null } = req.body;
+
+    if(!mongoose.isValidObjectId(user_id)) {
+        return res.status(404).json({ error: "User not found" });
+    }
+
+    if(suspend && !String(reason).trim().length) {
+        return res.status(403).json({ error: "Give a reason for the suspension, the user will see it" });
+    }
+
+    if(suspend && duration_days !== null && !(Number(duration_days) > 0)) {
+        return res.status(403).json({ error: "Suspension duration must be a positive number of days" });
+    }
+
+    if(user_id === req.user) {
+        return res.status(403).json({ error: "You can't suspend your own account" });
+    }
+
+    User.findById(user_id)
+    .select("role suspension")
+    .then(user => {
+        if(!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        // staff can only be suspended by someone with a higher role
+        if(roles.indexOf(user.role) >= roles.indexOf(req.role)) {
+            return res.status(403).json({ error: "You can't suspend a user with the same or a higher role" });
+        }
+
+        let update = suspend ?
+            suspendUser(user, { reason: String(reason).trim(), duration_days: duration_days && Number(duration_days), suspended_by: req.user }) :
+            User.findOneAndUpdate({ _id: user_id }, { suspension: { is_suspended: false, reason: "", expiresAt: null, suspended_by: null, suspendedAt: null } }, { new: true });
+
+        return update.then(user => {
+            return res.status(200).json({ suspension: user.suspension });
+        })
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+const adminBlogsQuery = (query) => {
+    return query ? { title: new RegExp(escapeRegex(query), 'i') } : {};
+}
+
+server.post("/admin/blogs", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { query, page = 1 } = req.body;
+
+    let maxLimit = 10;
+
+    Blog.find(adminBlogsQuery(query))
+    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+    .sort({ publishedAt: -1 })
+    .skip((page - 1) * maxLimit)
+    .limit(maxLimit)
+    .select("blog_id title banner activity draft unpublished_by publishedAt")
+    .then(blogs => {
+        return res.status(200).json({ blogs });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
+})
+
+server.post("/admin/blogs-count", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { query } = req.body;
+
+    Blog.countDocuments(adminBlogsQuery(query))
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
     })
 })
 
-server.post("/all-latest-blogs-count", (req, res) => {
-    Blog.countDocuments({draft: false})
-    .then(count => {
-        return res.status(200).json({ totalDocs: count })
+server.post("/admin/unpublish-blog", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { blog_id } = req.body;
+
+    Blog.findOne({ blog_id })
+    .then(async (blog) => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        await unpublishBlog(blog, req.user);
+
+        return res.status(200).json({ draft: true, unpublished_by: req.user });
     })
     .catch(err => {
-        console.log(err.message);
-        return res.status(500).json({error: err.message})
+        return res.status(500).json({ error: err.message });
     })
 })
 
-server.get('/trending-blogs', (req, res) => {
-    
-    Blog.find({ draft: false })
-    .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
-    .sort({"activity.total_read": -1, "activity.total_likes": -1, "publishedAt": -1})
-    .select("blog_id title publishedAt -_id")
-    .limit(5)
-    .then(blogs => {
-        return res.status(200).json({blogs})
+// lets the author publish a blog taken down by a moderator again, the blog stays a draft till they do
+server.post("/admin/restore-blog", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { blog_id } = req.body;
+
+    Blog.findOneAndUpdate({ blog_id }, { unpublished_by: null }, { timestamps: false })
+    .then(blog => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
+
+        return res.status(200).json({ unpublished_by: null });
     })
     .catch(err => {
-        return res.status(500).json({
-            error: err.message
-        })
+        return res.status(500).json({ error: err.message });
     })
 })
 
-server.post("/search-blogs", (req, res) => {
-    let { tag, query, author, page, limit, eliminate_blog } = req.body;
+server.post("/admin/delete-blog", verifyJWT, requireRole("admin"), (req, res) => {
+    let { blog_id } = req.body;
 
-    let findQuery;
-    
-    if(tag) {
-        findQuery = { tags: tag, draft: false, blog_id: { $ne: eliminate_blog} };
-    }
-    else if(query) {
-        findQuery = { draft: false, title: new RegExp(query, 'i') }
-    }
-    else if( author) {
-        findQuery = { author, draft: false}
-    }
+    Blog.findOne({ blog_id })
+    .then(async (blog) => {
+        if(!blog) {
+            return res.status(404).json({ error: "Blog not found" });
+        }
 
-    let maxLimit = limit ? limit : 2;
+        await deleteBlog(blog);
 
-    Blog.find(findQuery)
-    .populate("author", "personal_info.profile_img personal_info.username personal_info.fullname -_id")
-    .sort({ "publishedAt": -1 })
-    .select("blog_id title des banner activity tags publishedAt -_id")
-    .skip((page-1) *maxLimit)
-    .limit(maxLimit)
-    .then(blogs => {
-        return res.status(200).json({ blogs })
+        return res.status(200).json({ status: "Blog deleted" });
     })
     .catch(err => {
-        return res.status(500).json({ error: err.message })
+        return res.status(500).json({ error: err.message });
     })
 })
 
-server.post("/search-blogs-count", (req, res) => {
-    let {tag, author, query} = req.body;
+server.post("/admin/comments", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { page = 1 } = req.body;
 
-    let findQuery;
-    
-    if(tag) {
-        findQuery = { tags: tag, draft: false };
-    }
-    else if(query) {
-        findQuery = { draft: false, title: new RegExp(query, 'i') }
-    }else if( author) {
-        findQuery = { author, draft: false}
-    }
+    let maxLimit = 10;
 
-    Blog.countDocuments(findQuery)
-    .then(count => {
-        return res.status(200).json({ totalDocs: count })
+    Comment.find()
+    .populate("commented_by", "personal_info.fullname personal_info.username personal_info.profile_img -_id")
+    .populate("blog_id", "title blog_id -_id")
+    .sort({ commentedAt: -1 })
+    .skip((page - 1) * maxLimit)
+    .limit(maxLimit)
+    .select("comment blog_id commented_by isReply commentedAt")
+    .then(comments => {
+        return res.status(200).json({ comments });
     })
     .catch(err => {
-        console.log(err.message);
-        return res.status(500).json({error: err.message})
-    }) 
+        return res.status(500).json({ error: err.message });
+    })
 })
 
-// for searching the user
-server.post("/search-users", (req, res) => {
-    let { query } = req.body;
-    User.find({"personal_info.username": new RegExp(query, 'i')})
-    .limit(50)
-    .select("personal_info.fullname personal_info.username personal_info.profile_img -_id")
-    .then(users => {
-        return res.status(200).json({users})
+server.post("/admin/comments-count", verifyJWT, requireRole("moderator"), (req, res) => {
+    Comment.countDocuments()
+    .then(count => {
+        return res.status(200).json({ totalDocs: count });
     })
     .catch(err => {
-        return res.status(500).json({ error: err.message})
+        return res.status(500).json({ error: err.message });
     })
 })
 
-server.post("/get-profile", (req, res) => {
-    let {username} = req.body;
+server.post("/admin/delete-comment", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { _id } = req.body;
 
-    User.findOne({"personal_info.username": username})
-    .select("-personal_info.password -google_auth -updatedAt -blogs")
-    .then(user => {
-        return res.status(200).json(user)
+    if(!mongoose.isValidObjectId(_id)) {
+        return res.status(404).json({ error: "Comment not found" });
+    }
+
+    deleteComment(_id)
+    .then(() => {
+        return res.status(200).json({ status: "Comment deleted" });
     })
     .catch(err => {
-        console.log(err);
-        return res.status(500).json({error: err.message})
+        return res.status(500).json({ error: err.message });
     })
 })
 
-// create post is the method where user can crete post
-// but it should be an authenticate user which is verified by Middleware using access_token
-server.post('/create-blog', verifyJWT, (req, res) => {
-    let authorId = req.user;
-    let { title, des, banner, tags, content, draft, id } = req.body;
+// Reports and the moderation queue
 
-    // validate
-    if(!title.length) {
-        return res.status(403).json( {
-            error: "You must provide a title"
-        });
+// finds what is reported and the user responsible for it, the author of a blog or a comment
+const findReportTarget = async (target_type, _id) => {
+    if(target_type == "blog") {
+        let blog = await Blog.findById(_id);
+        return blog && { doc: blog, owner: blog.author };
     }
 
-    // validate if draft==false
-    if(!draft) {
-
-        if(!des.length || des.length > 200) {
-            return res.status(403).json( {
-                error: "You must provide blog description under 200 characters"
-            });
-        }
-    
-        if(!banner.length) {
-            return res.status(403).json( {
-                error: "You must provide blog banner to publish it"
-            });
-        }
-    
-        if(!content.blocks.length) {
-            return res.status(403).json( {
-                error: "There must be some blog content to publish it"
-            });
-        }
-    
-        if(!tags.length || tags.length > 10) {
-            return res.status(403).json( {
-                error: "Provide tags in order to publish the blog, Maximum is 10"
-            });
-        }
+    if(target_type == "comment") {
+        let comment = await Comment.findById(_id);
+        return comment && { doc: comment, owner: comment.commented_by };
+    }
 
+    if(target_type == "user") {
+        let user = await User.findById(_id).select("role suspension");
+        return user && { doc: user, owner: user._id };
     }
 
+    return null;
+}
 
-    // 'Tech' tag is not different then 'tech' tag
-    tags = tags.map(tag => tag.toLowerCase());
+// adds a short preview of the reported blogs, comments and users to the groups of the queue
+const addReportTargets = async (groups) => {
+    let idsOf = (type) => groups.filter(({ target_type }) => target_type == type).map(({ target }) => target);
+
+    let [ blogs, comments, users ] = await Promise.all([
+        Blog.find({ _id: { $in: idsOf("blog") } })
+        .populate("author", "personal_info.username -_id")
+        .select("title blog_id draft author"),
+        Comment.find({ _id: { $in: idsOf("comment") } })
+        .populate("commented_by", "personal_info.username -_id")
+        .populate("blog_id", "title blog_id -_id")
+        .select("comment commented_by blog_id"),
+        User.find({ _id: { $in: idsOf("user") } })
+        .select("personal_info.username personal_info.fullname personal_info.profile_img role suspension")
+    ]);
+
+    let previews = [ ...blogs, ...comments, ...users ];
+
+    return groups.map(group => {
+        // null when the content was deleted after being reported
+        let preview = previews.find(({ _id }) => String(_id) == String(group.target)) || null;
+        return { ...group, preview };
+    });
+}
 
-    let blog_id = id || title.replace(/[^a-zA-Z0-9]/g, ' ').replace(/\s+/g, "-").trim() + nanoid();
+server.post("/report", verifyJWT, (req, res) => {
+    let { target_type, target, reason, details = "" } = req.body;
 
-    if(id) {
-        Blog.findOneAndUpdate({ blog_id }, { title, des, banner, content, tags, draft: draft ? draft : false})
-        .then(() => {
-            return res.status(200).json({id: blog_id});
-        })
-        .catch(err => {
-            return res.status(500).json({error: err.message});
-        })
+    if(!Report.schema.path("target_type").enumValues.includes(target_type) || !mongoose.isValidObjectId(target)) {
+        return res.status(404).json({ error: "Nothing to report" });
     }
 
-    else {
-
-        // new blog instance is made
-        let blog = new Blog( {
-            title, des, banner, content, tags, author: authorId, blog_id, draft: Boolean(draft)
-        })
-    
-        // mongodb save the blog
-        blog.save().then((blog) => {
-            let incrementVal = draft ? 0 : 1;
-    
-            User.findOneAndUpdate(
-                { _id: authorId}, 
-                { $inc: { "account_info.total_posts" : incrementVal },
-                $push: { "blogs": blog._id }
-            })
-            .then(user => {
-                return res.status(200).json( {
-                    id: blog.blog_id
-                })
-            })
-            .catch(err => {
-                return res.status(500).json({
-                    error: "Failed to update total posts number"
-                })
-            })
-        })
-        .catch(err => {
-            return res.status(500).json({
-                error: err.message
-            })
-        })
+    if(!Report.schema.path("reason").enumValues.includes(reason)) {
+        return res.status(403).json({ error: "Choose a reason for the report" });
     }
 
-})
-
-server.post("/get-blog", (req, res) => {
-    let { blog_id, draft, mode } = req.body;
-    let incrementVal = mode != "edit" ? 1 : 0;
+    if(String(details).length > 500) {
+        return res.status(403).json({ error: "Details should be under 500 characters" });
+    }
 
-    // find the document and inc the total_reads by 1
-    Blog.findOneAndUpdate({ blog_id }, {$inc: {"activity.total_reads": incrementVal}})
-    .populate("author", "personal_info.fullname personal_info.username personal_info.profile_img")
-    .select("title des content banner activity publishedAt blog_id tags")
-    .then(blog => {
+    findReportTarget(target_type, target)
+    .then(async (found) => {
+        if(!found) {
+            return res.status(404).json({ error: "Nothing to report" });
+        }
 
-        User.findOneAndUpdate({ "personal_info.username": blog.author.personal_info.username}, {
-            $inc: { "account_info.total_reads": incrementVal}
-        })
-        .catch(err => {
-            return res.status(500).json({ error: err.message })
-        })
+        if(String(found.owner) == req.user) {
+            return res.status(403).json({ error: "You can't report yourself" });
+        }
 
-        if(blog.draft && !draft) {
-            return res.status(500).json({error: "you cannot access draft blogs" })
+        if(await Report.exists({ target, reported_by: req.user, status: "open" })) {
+            return res.status(403).json({ error: "You already reported this, our moderators will look into it" });
         }
 
-        return res.status(200).json({ blog });
+        await new Report({ target_type, target, reason, details: String(details).trim(), reported_by: req.user }).save();
+
+        return res.status(200).json({ status: "Thanks, our moderators will look into it" });
     })
     .catch(err => {
-        return res.status(500).json({ error: err.message});
+        return res.status(500).json({ error: err.message });
     })
 })
 
-server.post("/like-blog", verifyJWT, (req, res) => {
-    let user_id = req.user;
-    let { _id, islikedByUser } = req.body;
+// reports of one target are grouped together, the most reported come first
+const groupReportsPipeline = (status) => {
+    return [
+        { $match: { status } },
+        { $sort: { reportedAt: -1 } },
+        { $group: {
+            _id: { target_type: "$target_type", target: "$target" },
+            total_reports: { $sum: 1 },
+            reasons: { $push: "$reason" },
+            details: { $push: "$details" },
+            lastReportedAt: { $max: "$reportedAt" },
+            action: { $first: "$action" },
+            resolved_by: { $first: "$resolved_by" },
+            resolvedAt: { $max: "$resolvedAt" }
+        } }
+    ];
+}
 
-    let incrementVal = !islikedByUser ? 1 : -1;
+// only the known statuses reach $match, an object would be read as a query operator
+const reportStatus = (status) => {
+    return Report.schema.path("status").enumValues.includes(status) ? status : "open";
+}
 
-    Blog.findOneAndUpdate({ _id }, { $inc: { "activity.total_likes":incrementVal } })
-    .then(blog => {
-        if(!islikedByUser) {
-            let like = new Notification({
-                type: "like",
-                blog: _id,
-                notification_for: blog.author,
-                user: user_id
-            })
+server.post("/admin/reports", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { page = 1, status } = req.body;
 
-            like.save().then(notification => {
-                return res.status(200).json({ liked_by_user: true })
-            })
-        }
-        else {
+    status = reportStatus(status);
+    page = Math.max(parseInt(page) || 1, 1);
 
-            Notification.findOneAndDelete({user: user_id, blog: _id, type: "like"})
-            .then(data => {
-                return res.status(200).json({liked_by_user: false})
-            })
-            .catch(err => {
-                return res.status(500).json({error: err.message})
-            })
-        }
+    let maxLimit = 10;
+
+    Report.aggregate([
+        ...groupReportsPipeline(status),
+        { $sort: { total_reports: -1, lastReportedAt: -1 } },
+        { $skip: (page - 1) * maxLimit },
+        { $limit: maxLimit }
+    ])
+    .then(async (groups) => {
+        await User.populate(groups, { path: "resolved_by", select: "personal_info.username -_id" });
+
+        groups = groups.map(({ _id: { target_type, target }, reasons, details, ...group }) => {
+            // how many times each reason was given
+            let reason_counts = reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {});
+
+            return { ...group, _id: `${target_type}-${target}`, target_type, target, reason_counts, details: details.filter(detail => detail.length).slice(0, 5) };
+        });
+
+        return addReportTargets(groups);
+    })
+    .then(reports => {
+        return res.status(200).json({ reports });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
     })
 })
 
-server.post("/isliked-by-user", verifyJWT, (req, res) => {
-    let user_id = req.user;
-    let { _id }= req.body;
+server.post("/admin/reports-count", verifyJWT, requireRole("moderator"), (req, res) => {
+    let status = reportStatus(req.body.status);
 
-    Notification.exists({user: user_id, type: "like", blog: _id})
+    Report.aggregate([ ...groupReportsPipeline(status), { $count: "totalDocs" } ])
     .then(result => {
-        return res.status(200).json({result})
+        return res.status(200).json({ totalDocs: result.length ? result[0].totalDocs : 0 });
     })
     .catch(err => {
-        return res.status(500).json({ error: err.message})
+        return res.status(500).json({ error: err.message });
     })
-
 })
 
-server.post("/add-comment", verifyJWT, (req, res) => {
-    let user_id = req.user;
+// action is dismiss, hide (unpublish the blog or delete the comment) or suspend the responsible user
+// every open report of the target is closed with the moderator and the time
+server.post("/admin/resolve-reports", verifyJWT, requireRole("moderator"), (req, res) => {
+    let { target_type, target, action, reason = "", duration_days = null } = req.body;
 
-    let {_id, comment, blog_author} = req.body;
+    if(!["dismiss", "hide", "suspend"].includes(action)) {
+        return res.status(403).json({ error: "Unknown moderation action" });
+    }
 
-    if(!comment.length) {
-        return res.status(403).json({error: "Write something to leave a comment"});
+    if(!Report.schema.path("target_type").enumValues.includes(target_type)) {
+        return res.status(400).json({ error: "Unknown report target type" });
     }
 
-    // Creating a comment doc
-    let commentObj = new Comment({
-        blog_id: _id,
-        blog_author,
-        comment, 
-        commented_by: user_id,
-    })
+    if(!mongoose.isValidObjectId(target)) {
+        return res.status(404).json({ error: "Report not found" });
+    }
+
+    if(action == "hide" && target_type == "user") {
+        return res.status(403).json({ error: "Users can't be hidden, suspend them instead" });
+    }
 
-    commentObj.save().then(commentFile => {
-        let { comment, commentedAt, children } = commentFile;
+    if(action == "suspend" && !String(reason).trim().length) {
+        return res.status(403).json({ error: "Give a reason for the suspension, the user will see it" });
+    }
 
-        Blog.findOneAndUpdate({ _id }, { $push: { "comments": commentFile._id }, $inc: {"activity.total_comments": 1}, "activity.total_parent_comments": 1 })
-        .then(blog => {
-            console.log('New comment created')
-        })
+    if(action == "suspend" && duration_days !== null && !(Number(duration_days) > 0)) {
+        return res.status(403).json({ error: "Suspension duration must be a positive number of days" });
+    }
 
-        let notificationObj = {
-            type: "comment",
-            blog: _id,
-            notification_for: blog_author,
-            user: user_id,
-            comment: commentFile._id
+    findReportTarget(target_type, target)
+    .then(async (found) => {
+        if(!found && action != "dismiss") {
+            return res.status(404).json({ error: "The reported content doesn't exist anymore, dismiss the reports" });
         }
 
-        new Notification(notificationObj).save().then(notification => console.log("new Notification created"));
+        if(action == "hide" && target_type == "blog") {
+            await unpublishBlog(found.doc, req.user);
+        }
 
-        return res.status(200).json({
-            comment, commentedAt, _id: commentFile._id, user_id, children
-        })
+        if(action == "hide" && target_type == "comment") {
+            await deleteComment(found.doc._id);
+        }
 
-    })
+        if(action == "suspend") {
+            let owner = await User.findById(found.owner).select("role suspension");
+
+            if(!owner) {
+                return res.status(404).json({ error: "User not found" });
+            }
+
+            if(String(owner._id) == req.user) {
+                return res.status(403).json({ error: "You can't suspend your own account" });
+            }
+
+            // same rule as /admin/suspend-user
+            if(roles.indexOf(owner.role) >= roles.indexOf(req.role)) {
+                return res.status(403).json({ error: "You can't suspend a user with the same or a higher role" });
+            }
+
+            await suspendUser(owner, { reason: String(reason).trim(), duration_days: duration_days && Number(duration_days), suspended_by: req.user });
+        }
 
+        let { modifiedCount } = await Report.updateMany({ target_type, target, status: "open" }, {
+            status: action == "dismiss" ? "dismissed" : "actioned",
+            action,
+            resolved_by: req.user,
+            resolvedAt: new Date()
+        });
 
+        return res.status(200).json({ resolved: modifiedCount });
+    })
+    .catch(err => {
+        return res.status(500).json({ error: err.message });
+    })
 })
 
 server.listen(PORT, () => {
     console.log('Listeniing on port: ' + PORT);
-});
\ No newline at end of file
+});
+
+// in-process scheduler for the scheduled blogs, it also catches up on the ones missed while the server was down
+const runScheduler = () => {
+    publishScheduledBlogs()
+    .catch(err => {
+        console.log("Scheduled publishing failed: " + err.message);
+    })
+}
+
+runScheduler();
+setInterval(runScheduler, scheduleCheckInterval);
+
+const runTrendingRecompute = () => {
+    recomputeTrendingScores()
+    .catch(err => {
+        console.log("Recomputing trending scores failed: " + err.message);
+    })
+}
+
+runTrendingRecompute();
+setInterval(runTrendingRecompute, trendingRecomputeInterval);
\ No newline at end of file
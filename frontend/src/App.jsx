@@ -3,12 +3,26 @@ import Navbar from './components/navbar.component'
 import UserAuthForm from './pages/userAuthForm.pages'
 import { createContext, useEffect, useState } from 'react'
 import { lookInSession } from './common/session';
+import { setupAuthInterceptor } from './common/auth-interceptor';
 import Editor from './pages/editor.pages';
 import HomePage from './pages/home.page';
 import SearchPage from './pages/search.page';
 import PageNotFound from './pages/404page';
 import ProfilePage from './pages/profile.page';
 import BlogPage from './pages/blog.page';
+import ForgotPassword from './pages/forgot-password.page';
+import ResetPassword from './pages/reset-password.page';
+import VerifyEmail from './pages/verify-email.page';
+import SideNav from './components/sidenavbar.component';
+import ChangePassword from './pages/change-password.page';
+import EditProfile from './pages/edit-profile.page';
+import TwoFactorSettings from './pages/two-factor.page';
+import Sessions from './pages/sessions.page';
+import AdminDashboard from './pages/admin.page';
+import ManageBlogs from './pages/manage-blogs.page';
+import Notifications from './pages/notifications.page';
+import ReportsQueue from './pages/reports.page';
+import TagPage from './pages/tag.page';
 
 // createContext is used to pass down value deep to the components without using props from one component to other component
 // for userAuth, it has access token send it to the components
@@ -27,6 +41,9 @@ const App = () => {
     userInSession ? 
     setUserAuth(JSON.parse(userInSession)) : 
     setUserAuth({access_token: null});
+
+    // silently get a new access token when the old one expires
+    return setupAuthInterceptor(setUserAuth);
   }, []);
 
   return (
@@ -40,9 +57,25 @@ const App = () => {
           <Route index element={<HomePage/>}/>
           <Route  path="signin" element={<UserAuthForm type="sign-in" />}/> 
           <Route  path="signup" element={<UserAuthForm type="sign-up" />}/>
+          <Route path="forgot-password" element={<ForgotPassword />}/>
+          <Route path="reset-password/:token" element={<ResetPassword />}/>
+          <Route path="verify-email/:token" element={<VerifyEmail />}/>
+          <Route path="dashboard" element={<SideNav />}>
+            <Route path="blogs" element={<ManageBlogs />}/>
+            <Route path="notification" element={<Notifications />}/>
+          </Route>
+          <Route path="settings" element={<SideNav />}>
+            <Route path="edit-profile" element={<EditProfile />}/>
+            <Route path="change-password" element={<ChangePassword />}/>
+            <Route path="two-factor" element={<TwoFactorSettings />}/>
+            <Route path="sessions" element={<Sessions />}/>
+          </Route>
+          <Route path="admin" element={<AdminDashboard />}/>
+          <Route path="admin/reports" element={<ReportsQueue />}/>
           <Route path='search/:query' element={<SearchPage/>}/>
           <Route path='user/:id' element={<ProfilePage />}/>
           <Route path='blog/:blog_id' element={<BlogPage/>} />
+          <Route path='tag/:tag' element={<TagPage />} />
           <Route path='*' element={<PageNotFound />} />
         </Route>
       </Routes>
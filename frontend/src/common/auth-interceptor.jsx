@@ -0,0 +1,61 @@
+import axios from "axios";
+import { lookInSession, removeFromSession, storeInSession } from "./session";
+
+// Access tokens expire after a few minutes. When the server rejects one, the refresh token
+// stored with the user in session is traded for a new pair and the original request is sent again.
+
+let refreshRequest = null;
+
+const isAccessTokenError = ({ status, data }) => {
+    return status === 401 || (status === 403 && /access token/i.test(data?.error));
+}
+
+const refreshAccessToken = () => {
+
+    // many requests can fail at the same time, all of them wait for the same refresh
+    if(!refreshRequest) {
+        let { refresh_token } = JSON.parse(lookInSession("user") || "{}");
+
+        refreshRequest = axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/refresh-token", { refresh_token })
+        .then(({ data }) => {
+            storeInSession("user", JSON.stringify(data));
+            return data;
+        })
+        .finally(() => {
+            refreshRequest = null;
+        })
+    }
+
+    return refreshRequest;
+}
+
+export const setupAuthInterceptor = (setUserAuth) => {
+
+    const interceptor = axios.interceptors.response.use(response => response, async (error) => {
+        let { config, response } = error;
+
+        if(!response || !config || config._retry || !config.headers?.Authorization || config.url.endsWith("/refresh-token") || !isAccessTokenError(response)) {
+            return Promise.reject(error);
+        }
+
+        config._retry = true;
+
+        try {
+            let data = await refreshAccessToken();
+
+            setUserAuth(data);
+            config.headers.Authorization = `Bearer ${data.access_token}`;
+
+            return axios(config);
+        }
+        catch(err) {
+            // refresh token is expired or revoked so the user has to sign in again
+            removeFromSession("user");
+            setUserAuth({ access_token: null });
+
+            return Promise.reject(error);
+        }
+    });
+
+    return () => axios.interceptors.response.eject(interceptor);
+}
@@ -1,7 +1,16 @@
 import axios from "axios";
 
 // [] -> {} array to obj
-export const filterPaginationData = async ({ create_new_arr = false, state, data, page, countRoute, data_to_send ={}}) => {
+// user is the access token, needed when the count route is only for signed in users
+export const filterPaginationData = async ({ create_new_arr = false, state, data, page, countRoute, data_to_send ={}, user = undefined}) => {
+
+    let headers = {};
+
+    if(user) {
+        headers.headers = {
+            'Authorization': `Bearer ${user}`
+        }
+    }
 
     let obj;
 
@@ -10,7 +19,7 @@ export const filterPaginationData = async ({ create_new_arr = false, state, data
     }
     else {
 
-        await axios.post(import.meta.env.VITE_SERVER_DOMAIN + countRoute, data_to_send)
+        await axios.post(import.meta.env.VITE_SERVER_DOMAIN + countRoute, data_to_send, headers)
         .then(({data: {totalDocs} }) => {
             obj = {results: data, page: 1, totalDocs}
         })
@@ -0,0 +1,7 @@
+// Same rules as the server uses in /signup so the user sees the error before the request is sent
+
+export const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/; // regex for email
+export const passwordRegex = /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z]).{6,20}$/; // regex for password
+export const usernameRegex = /^[a-zA-Z0-9._]{3,30}$/; // regex for username chosen in settings
+
+export const passwordRuleMessage = "Password must contain 6 to 20 characters long, contain at least 1 uppercase letter, 1 lowercase letter, and 1 number";
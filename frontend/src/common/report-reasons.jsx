@@ -0,0 +1,10 @@
+// labels of the report categories, the keys are the same as in the Report schema
+export const reportReasons = {
+    spam: "Spam",
+    harassment: "Harassment or bullying",
+    hate: "Hate speech",
+    sexual: "Sexual content",
+    violence: "Violence",
+    misinformation: "Misinformation",
+    other: "Something else"
+}
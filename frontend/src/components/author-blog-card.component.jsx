@@ -0,0 +1,112 @@
+import { useContext } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import { UserContext } from "../App";
+import { getDay, getFullDay } from "../common/date";
+
+// Blog row of the author dashboard with its stats and the edit, unpublish and delete actions
+const AuthorBlogCard = ({ blog, onUnpublish, onCancelSchedule, onRemove }) => {
+
+    let { blog_id, title, banner, draft, publishedAt, updatedAt, scheduledAt, unpublished_by, activity: { total_reads, total_likes, total_comments } } = blog;
+
+    let { userAuth: { access_token } } = useContext(UserContext);
+
+    const authHeaders = {
+        headers: {
+            'Authorization': `Bearer ${access_token}`
+        }
+    }
+
+    // unpublishing a scheduled draft cancels its schedule
+    const handleUnpublish = (e) => {
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/unpublish-blog", { blog_id }, authHeaders)
+        .then(() => {
+            scheduledAt ? onCancelSchedule() : onUnpublish();
+            toast.success(scheduledAt ? "Schedule cancelled" : "Blog moved to drafts");
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    const handleDelete = (e) => {
+        if(!confirm(`Delete "${title}" with all its comments? This can't be undone.`)) {
+            return;
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/delete-blog", { blog_id }, authHeaders)
+        .then(() => {
+            onRemove();
+            toast.success("Blog deleted");
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    return (
+        <div className="flex gap-10 border-b border-grey pb-6 mb-6 max-md:px-4 items-center max-sm:flex-col max-sm:items-start max-sm:gap-5">
+            {
+                banner ?
+                <img src={banner} alt="Blog banner" className="max-md:hidden lg:hidden xl:block w-28 h-28 flex-none bg-grey object-cover" />
+                : ""
+            }
+
+            <div className="flex flex-col justify-between py-2 w-full min-w-[200px]">
+                <div>
+                    {
+                        draft ?
+                        <p className="blog-title mb-4">{title || "Untitled"}</p>
+                        :
+                        <Link to={`/blog/${blog_id}`} className="blog-title mb-4 hover:underline">{title}</Link>
+                    }
+                    {
+                        scheduledAt ?
+                        <p className="text-purple">Scheduled for {getFullDay(scheduledAt)} {new Date(scheduledAt).toLocaleTimeString()}</p>
+                        :
+                        <p className="text-dark-grey">{draft ? "Last saved" : "Published on"} {getDay(draft ? updatedAt : publishedAt)}</p>
+                    }
+                    {
+                        unpublished_by ?
+                        <p className="text-red mt-1">Taken down by a moderator, it can not be published again for now</p>
+                        : ""
+                    }
+                </div>
+
+                <div className="flex gap-6 mt-3">
+                    <Link to={`/editor/${blog_id}`} className="pr-4 py-2 underline">Edit</Link>
+                    {
+                        !draft || scheduledAt ?
+                        <button className="pr-4 py-2 underline disabled:opacity-50" onClick={handleUnpublish}>{scheduledAt ? "Cancel schedule" : "Unpublish"}</button>
+                        : ""
+                    }
+                    <button className="pr-4 py-2 underline text-red disabled:opacity-50" onClick={handleDelete}>Delete</button>
+                </div>
+            </div>
+
+            {
+                !draft ?
+                <div className="flex gap-2 flex-none">
+                    {
+                        [["Reads", total_reads], ["Likes", total_likes], ["Comments", total_comments]].map(([label, value]) => {
+                            return <div key={label} className="flex flex-col items-center w-full h-full justify-center p-4 px-6 border-l border-grey first:border-0">
+                                <h1 className="text-xl lg:text-2xl mb-2">{value.toLocaleString()}</h1>
+                                <p className="max-lg:text-dark-grey">{label}</p>
+                            </div>
+                        })
+                    }
+                </div>
+                : ""
+            }
+        </div>
+    )
+}
+
+export default AuthorBlogCard;
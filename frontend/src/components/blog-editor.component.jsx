@@ -3,13 +3,14 @@ import logo from '../imgs/logo.png';
 import AnimationWrapper from '../common/page-animation';
 import defaultBanner from '../imgs/blog banner.png'
 import { uploadImage } from '../common/aws';
-import { useContext, useEffect } from 'react';
+import { useContext, useEffect, useState } from 'react';
 import { Toaster, toast} from 'react-hot-toast';
 import { EditorContext } from '../pages/editor.pages';
 import EditorJS from '@editorjs/editorjs';
 import { tools } from './tools.component';
 import axios from 'axios';
 import { UserContext } from '../App';
+import BlogHistory from './blog-history.component';
 
 const BlogEditor = () => {
 
@@ -21,6 +22,9 @@ const BlogEditor = () => {
 
     let navigate = useNavigate(); // use to navigate programmatically
 
+    // revision history panel, only for blogs which are already saved
+    const [ historyWrapper, setHistoryWrapper ] = useState(false);
+
     // after render runs once which is used for editing page
     useEffect( () => {
         if(!textEditor.isReady) {
@@ -145,8 +149,7 @@ const BlogEditor = () => {
 
                     // after .5sec remove the publish toast and render to blog page
                     setTimeout(()=> {
-                        // Navigate to home page later to dashboard
-                        navigate("/");
+                        navigate("/dashboard/blogs?tab=draft");
                     }, 500);
                 })
                 .catch(( { response } ) => {
@@ -176,10 +179,23 @@ const BlogEditor = () => {
                     <button className='btn-light py-2' onClick={handleSaveDraft}>
                         Save Draft
                     </button>
+                    {
+                        blog_id ?
+                        <button className='btn-light py-2 flex items-center gap-2' onClick={() => setHistoryWrapper(preVal => !preVal)}>
+                            <i className='fi fi-rr-time-past'></i>
+                            <span className='max-md:hidden'>History</span>
+                        </button>
+                        : ""
+                    }
                 </div>
             </nav>
 
             <Toaster />
+            {
+                blog_id ?
+                <BlogHistory blog_id={blog_id} historyWrapper={historyWrapper} setHistoryWrapper={setHistoryWrapper} />
+                : ""
+            }
             <AnimationWrapper>
                 <section>
                     <div className='mx-auto max-w-[900px] w-full'>
@@ -203,7 +219,7 @@ const BlogEditor = () => {
                         </div>
 
                         <textarea
-                            defaultValue={title}
+                            value={title}
                             placeholder='Blog title'
                             className='text-4xl font-medium w-full h-20 outline-none resize-none mt-10 leading-tight placeholder:opacity-40'
                             onKeyDown={handleTitleKeyDown}
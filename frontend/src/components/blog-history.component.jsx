@@ -0,0 +1,214 @@
+import { useContext, useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import { UserContext } from "../App";
+import { EditorContext } from "../pages/editor.pages";
+import Loader from "./loader.component";
+import NoDataMessage from "./nodata.component";
+import { getDay } from "../common/date";
+
+// plain text of a block to show in the diff
+const blockText = ({ type, data }) => {
+    let text = type === "list" ? data.items.join(", ")
+        : type === "image" ? "Image " + (data.caption || data.file.url)
+        : data.text || data.code || data.caption || "";
+
+    return new DOMParser().parseFromString(text, "text/html").body.textContent;
+}
+
+const diffStyles = {
+    added: "border-purple bg-purple/10",
+    removed: "border-red bg-red/10 line-through",
+    changed: "border-dark-grey bg-grey",
+    unchanged: "border-grey opacity-50"
+}
+
+// Side panel of the editor listing the saved revisions of the blog with their diff and restore
+const BlogHistory = ({ blog_id, historyWrapper, setHistoryWrapper }) => {
+
+    let { blog, setBlog, textEditor } = useContext(EditorContext);
+
+    let { userAuth: { access_token } } = useContext(UserContext);
+
+    const [revisions, setRevisions] = useState(null);
+    const [selected, setSelected] = useState(null); // index of the revision being looked at
+    const [compareTo, setCompareTo] = useState(null); // index of the revision it is compared with
+    const [diff, setDiff] = useState(null);
+
+    const authHeaders = {
+        headers: {
+            'Authorization': `Bearer ${access_token}`
+        }
+    }
+
+    const fetchRevisions = () => {
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/blog-revisions", { blog_id }, authHeaders)
+        .then(({ data }) => {
+            setRevisions(data.revisions);
+        })
+        .catch(err => {
+            console.log(err);
+        })
+    }
+
+    useEffect(() => {
+        if(historyWrapper) {
+            setRevisions(null);
+            setSelected(null);
+            fetchRevisions();
+        }
+    }, [historyWrapper])
+
+    useEffect(() => {
+        if(selected === null || compareTo === null) {
+            return setDiff(null);
+        }
+
+        setDiff(null);
+
+        // revisions are newest first, so the older one is the "from" of the diff
+        let [older, newer] = compareTo > selected ? [compareTo, selected] : [selected, compareTo];
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/blog-revision-diff", { blog_id, from: revisions[older]._id, to: revisions[newer]._id }, authHeaders)
+        .then(({ data }) => {
+            setDiff(data);
+        })
+        .catch(({ response }) => {
+            toast.error(response.data.error);
+        })
+    }, [selected, compareTo])
+
+    const selectRevision = (i) => {
+        setSelected(i);
+        // by default show what changed in this save
+        setCompareTo(i + 1 < revisions.length ? i + 1 : null);
+    }
+
+    const restoreRevision = (e) => {
+        if(!confirm("Restore this revision? The current version stays in the history.")) {
+            return;
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/restore-blog-revision", { blog_id, revision_id: revisions[selected]._id }, authHeaders)
+        .then(({ data }) => {
+            e.target.removeAttribute("disabled");
+
+            setBlog({ ...blog, ...data.blog });
+
+            if(textEditor.isReady) {
+                textEditor.render(data.blog.content[0]);
+            }
+
+            toast.success("Revision restored");
+            fetchRevisions();
+            setSelected(null);
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    return (
+        <div className={"max-sm:w-full fixed " + (historyWrapper ? "top-0 sm:right-0" : "top-[100%] sm:right-[-100%]") + " duration-700 max-sm:right-0 sm:top-0 w-[35%] min-w-[380px] h-full z-50 bg-white shadow-2xl p-8 px-12 overflow-y-auto overflow-x-hidden"}>
+
+            <div className="relative">
+                <h1 className="text-xl font-medium">History</h1>
+                <p className="text-lg mt-2 w-[70%] text-dark-grey line-clamp-1">Every save and publish is kept here</p>
+
+                <button onClick={() => setHistoryWrapper(false)} className="absolute top-0 right-0 flex justify-center items-center w-12 h-12 rounded-full bg-grey">
+                    <i className="fi fi-br-cross text-2xl mt-1"></i>
+                </button>
+            </div>
+            <hr className="border-grey my-8 w-[120%] -ml-10" />
+
+            {
+                revisions === null ? <Loader /> :
+                !revisions.length ? <NoDataMessage message="No revisions saved yet" /> :
+
+                selected === null ?
+                revisions.map((revision, i) => {
+                    return <button key={revision._id} onClick={() => selectRevision(i)} className="w-full text-left border-b border-grey py-4 hover:bg-grey/50">
+                        <p className="font-medium line-clamp-1">{revision.title}</p>
+                        <p className="text-dark-grey">
+                            {getDay(revision.savedAt)} {new Date(revision.savedAt).toLocaleTimeString()} - {revision.draft ? "Draft" : "Published"}
+                            {i === 0 ? " - Current" : ""}
+                            {revision.restored_from ? " - Restored" : ""}
+                        </p>
+                    </button>
+                })
+
+                :
+                <div>
+                    <button className="text-dark-grey underline mb-5" onClick={() => setSelected(null)}>Back to all revisions</button>
+
+                    <p className="font-medium text-xl">{revisions[selected].title}</p>
+                    <p className="text-dark-grey mb-5">Saved on {getDay(revisions[selected].savedAt)} {new Date(revisions[selected].savedAt).toLocaleTimeString()}</p>
+
+                    <div className="flex gap-3 items-center mb-6">
+                        <p className="text-dark-grey">Compare with</p>
+                        <select
+                            value={compareTo === null ? "" : compareTo}
+                            onChange={(e) => setCompareTo(e.target.value === "" ? null : Number(e.target.value))}
+                            className="bg-grey rounded-md p-2 w-full"
+                        >
+                            <option value="">Nothing</option>
+                            {
+                                revisions.map((revision, i) => {
+                                    return i === selected ? "" :
+                                    <option key={revision._id} value={i}>{getDay(revision.savedAt)} {new Date(revision.savedAt).toLocaleTimeString()}</option>
+                                })
+                            }
+                        </select>
+                    </div>
+
+                    {
+                        selected !== 0 ?
+                        <button className="btn-dark w-full mb-8 disabled:opacity-50" onClick={restoreRevision}>Restore this revision</button>
+                        : ""
+                    }
+
+                    {
+                        compareTo === null ? "" :
+                        diff === null ? <Loader /> :
+                        <>
+                            {
+                                Object.keys(diff.fields).map(field => {
+                                    let { before, after } = diff.fields[field];
+
+                                    return <div key={field} className="mb-4">
+                                        <p className="text-dark-grey capitalize mb-1">{field === "des" ? "Description" : field} changed</p>
+                                        <p className="border-l-4 border-red bg-red/10 p-2 line-through">{String(before || "-")}</p>
+                                        <p className="border-l-4 border-purple bg-purple/10 p-2">{String(after || "-")}</p>
+                                    </div>
+                                })
+                            }
+
+                            {
+                                diff.blocks.map((block, i) => {
+                                    let { status, before, after } = block;
+
+                                    return <div key={i} className={"border-l-4 p-2 mb-2 " + diffStyles[status]}>
+                                        {
+                                            status === "changed" ?
+                                            <>
+                                                <p className="line-through opacity-75">{blockText(before)}</p>
+                                                <p>{blockText(after)}</p>
+                                            </>
+                                            :
+                                            <p>{blockText(after || before)}</p>
+                                        }
+                                    </div>
+                                })
+                            }
+                        </>
+                    }
+                </div>
+            }
+        </div>
+    )
+}
+
+export default BlogHistory;
@@ -1,9 +1,10 @@
-import { useContext, useEffect } from "react";
+import { useContext, useEffect, useState } from "react";
 import { Link } from "react-router-dom";
 import { BlogContext } from "../pages/blog.page";
 import { UserContext } from "../App";
-import { Toaster, toast } from "react-hot-toast";
+import { toast } from "react-hot-toast";
 import axios from "axios";
+import ReportModal from "./report-modal.component";
 
 const BlogInteraction = () => {
 
@@ -11,6 +12,8 @@ const BlogInteraction = () => {
 
     let { userAuth: { username, access_token }} = useContext(UserContext);
 
+    const [ reporting, setReporting ] = useState(false);
+
     useEffect(() => {
         if(access_token) {
             // make request to server for getting like information
@@ -58,7 +61,6 @@ const BlogInteraction = () => {
 
     return (
         <>
-            <Toaster/>
             <hr className="border-grey my-2" />
 
             <div className="flex gap-6 justify-between">
@@ -87,6 +89,10 @@ const BlogInteraction = () => {
                     {
                         username === author_username ?
                         <Link to={`/editor/${blog_id}`} className="underline hover:text-purple">Edit</Link> :
+                        access_token ?
+                        <button onClick={() => setReporting(true)} title="Report" className="hover:text-red">
+                            <i className="fi fi-rr-flag text-xl"></i>
+                        </button> :
                         ""
                     }
 
@@ -96,6 +102,12 @@ const BlogInteraction = () => {
             </div>
 
             <hr className="border-grey my-2" />
+
+            {
+                reporting ?
+                <ReportModal target_type="blog" target={_id} onClose={() => setReporting(false)} />
+                : ""
+            }
         </>
     )
 }
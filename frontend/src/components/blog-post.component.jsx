@@ -1,11 +1,19 @@
 import { getDay } from "../common/date";
-import {Link} from 'react-router-dom'
+import {Link, useNavigate} from 'react-router-dom'
 
 const BlogPostCard = ({ content, author}) => {
 
     let { publishedAt, tags, title, des, banner, activity: {total_likes}, blog_id: id } = content;
     let {fullname, profile_img, username} = author;
 
+    let navigate = useNavigate();
+
+    // the card is a link itself, so the tag chip navigates on click instead of being a nested link
+    const openTag = (e) => {
+        e.preventDefault();
+        navigate(`/tag/${encodeURIComponent(tags[0])}`);
+    }
+
     return (
         <Link to={`/blog/${id}`} className="flex gap-8 items-center border-b border-grey pb-5 mb-4">
         <div className="w-full">
@@ -20,7 +28,7 @@ const BlogPostCard = ({ content, author}) => {
             <p className="my-3 text-xl font-gelasio leading-7 max-sm:hidden md:max-[1100px]:hidden line-clamp-2">{des}</p>
 
             <div className="flex gap-4 mt-7">
-                <span className="btn-light py-1 px-4">{tags[0]}</span>
+                <span className="btn-light py-1 px-4 hover:bg-black/10" onClick={openTag}>{tags[0]}</span>
                 <span className="ml-3 flex items-center gap-2 text-dark-grey">
                     <i className="fi fi-rr-heart text-xl"></i>
                     {total_likes}
@@ -0,0 +1,215 @@
+import { useContext, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import { UserContext } from "../App";
+import { BlogContext } from "../pages/blog.page";
+import { getDay } from "../common/date";
+import CommentField from "./comment-field.component";
+import ReportModal from "./report-modal.component";
+
+// One comment of the thread, its replies are loaded on demand and rendered nested under it
+// onDelete gets the number of comments deleted with it
+const CommentCard = ({ commentData, onDelete }) => {
+
+    let { _id, comment, edited, commentedAt, children, commented_by: { personal_info: { profile_img, fullname, username } } } = commentData;
+
+    let { userAuth: { access_token, username: signedInUsername } } = useContext(UserContext);
+
+    let { blog, blog: { activity, author: { personal_info: { username: blog_author } } }, setBlog } = useContext(BlogContext);
+
+    // the commenter can edit, the commenter and the blog author can delete
+    let isCommenter = access_token && signedInUsername === username;
+    let canDelete = isCommenter || (access_token && signedInUsername === blog_author);
+
+    const [commentText, setCommentText] = useState(comment);
+    const [isEdited, setEdited] = useState(edited);
+    const [isEditing, setEditing] = useState(false);
+    const [editText, setEditText] = useState(comment);
+
+    const [isReplying, setReplying] = useState(false);
+    const [reporting, setReporting] = useState(false);
+    const [replies, setReplies] = useState(null); // null till the replies are loaded
+    const [showReplies, setShowReplies] = useState(false);
+    const [totalReplies, setTotalReplies] = useState(children.length);
+
+    const loadReplies = ({ skip = 0 }) => {
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/get-replies", { _id, skip })
+        .then(({ data }) => {
+            setReplies(preVal => skip && preVal ? [...preVal, ...data.replies] : data.replies);
+            setShowReplies(true);
+        })
+        .catch(err => {
+            console.log(err);
+        })
+    }
+
+    const handleShowReplies = () => {
+        if(showReplies) {
+            return setShowReplies(false);
+        }
+
+        replies === null ? loadReplies({ skip: 0 }) : setShowReplies(true);
+    }
+
+    const handleReplyClick = () => {
+        if(!access_token) {
+            return toast.error("Login first to leave a reply");
+        }
+
+        setReplying(preVal => !preVal);
+    }
+
+    const authHeaders = {
+        headers: {
+            'Authorization': `Bearer ${access_token}`
+        }
+    }
+
+    const handleEdit = (e) => {
+        if(!editText.trim().length) {
+            return toast.error("Write something to leave a comment...");
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/edit-comment", { _id, comment: editText }, authHeaders)
+        .then(({ data }) => {
+            setCommentText(data.comment);
+            setEdited(true);
+            setEditing(false);
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    const handleDelete = (e) => {
+        if(!confirm("Delete this comment with all its replies?")) {
+            return;
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/delete-comment", { _id }, authHeaders)
+        .then(({ data: { deleted_count } }) => {
+            onDelete(deleted_count);
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    // a deleted reply leaves this thread, the blog loses it and all the replies under it
+    const removeReply = (index, deleted_count) => {
+        setReplies(preVal => preVal.filter((_, i) => i !== index));
+        setTotalReplies(preVal => preVal - 1);
+        setBlog({ ...blog, activity: { ...activity, total_comments: activity.total_comments - deleted_count } });
+    }
+
+    // the new reply is shown first, the same order the server sends them in
+    const addReply = (reply) => {
+        setReplies(preVal => [reply, ...(preVal || [])]);
+        setTotalReplies(preVal => preVal + 1);
+        setShowReplies(true);
+        setReplying(false);
+    }
+
+    return (
+        <div className="w-full">
+            <div className="my-5 p-6 rounded-md border border-grey">
+                <div className="flex gap-3 items-center mb-8">
+                    <img src={profile_img} alt={fullname} className="w-6 h-6 rounded-full" />
+                    <p className="line-clamp-1">{fullname} <Link to={`/user/${username}`} className="underline">@{username}</Link></p>
+                    <p className="min-w-fit text-dark-grey">{getDay(commentedAt)}{isEdited ? " (edited)" : ""}</p>
+                </div>
+
+                {
+                    isEditing ?
+                    <>
+                        <textarea
+                            value={editText}
+                            onChange={(e) => setEditText(e.target.value)}
+                            className="input-box pl-5 resize-none h-[120px] overflow-auto"
+                        ></textarea>
+                        <div className="flex gap-3 mt-3">
+                            <button className="btn-dark py-2 disabled:opacity-50" onClick={handleEdit}>Save</button>
+                            <button className="btn-light py-2" onClick={() => { setEditing(false); setEditText(commentText); }}>Cancel</button>
+                        </div>
+                    </>
+                    :
+                    <p className="font-gelasio text-xl ml-3">{commentText}</p>
+                }
+
+                <div className="flex gap-5 items-center mt-5">
+                    {
+                        totalReplies ?
+                        <button className="text-dark-grey p-2 px-3 hover:bg-grey/30 rounded-md flex items-center gap-2" onClick={handleShowReplies}>
+                            <i className="fi fi-rs-comment-dots"></i>
+                            {showReplies ? "Hide" : totalReplies} {showReplies ? "replies" : totalReplies === 1 ? "Reply" : "Replies"}
+                        </button>
+                        : ""
+                    }
+                    <button className="underline" onClick={handleReplyClick}>Reply</button>
+                    {
+                        isCommenter && !isEditing ?
+                        <button className="underline" onClick={() => setEditing(true)}>Edit</button>
+                        : ""
+                    }
+                    {
+                        access_token && !isCommenter ?
+                        <button className="text-dark-grey hover:text-red" title="Report" onClick={() => setReporting(true)}>
+                            <i className="fi fi-rr-flag"></i>
+                        </button>
+                        : ""
+                    }
+                    {
+                        canDelete ?
+                        <button className="ml-auto p-2 px-3 rounded-md hover:bg-red/30 hover:text-red disabled:opacity-50" onClick={handleDelete}>
+                            <i className="fi fi-rr-trash pointer-events-none"></i>
+                        </button>
+                        : ""
+                    }
+                </div>
+
+                {
+                    isReplying ?
+                    <div className="mt-8">
+                        <CommentField action="reply" replyingTo={_id} onReply={addReply} />
+                    </div>
+                    : ""
+                }
+            </div>
+
+            {
+                reporting ?
+                <ReportModal target_type="comment" target={_id} onClose={() => setReporting(false)} />
+                : ""
+            }
+
+            {
+                showReplies && replies ?
+                <div className="ml-4 pl-4 border-l border-grey">
+                    {
+                        replies.map((reply, i) => {
+                            return <CommentCard key={reply._id} commentData={reply} onDelete={(deleted_count) => removeReply(i, deleted_count)} />
+                        })
+                    }
+
+                    {
+                        totalReplies > replies.length ?
+                        <button className="text-dark-grey p-2 px-3 hover:bg-grey/30 rounded-md flex items-center gap-2" onClick={() => loadReplies({ skip: replies.length })}>
+                            Load more replies
+                        </button>
+                        : ""
+                    }
+                </div>
+                : ""
+            }
+        </div>
+    )
+}
+
+export default CommentCard;
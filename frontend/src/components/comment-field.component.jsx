@@ -1,12 +1,13 @@
 import { useContext, useState } from "react";
 import { UserContext } from "../App";
-import toast, { Toaster } from "react-hot-toast";
+import toast from "react-hot-toast";
 import axios from "axios";
 import { BlogContext } from "../pages/blog.page";
 
-const CommentField = ({ action }) => {
+// replyingTo and onReply are only given when the field replies to a comment
+const CommentField = ({ action, replyingTo = undefined, onReply }) => {
 
-    let { blog: {_id, author: {_id: blog_author}, comments, activity, activity: {total_comments, total_parent_commments}}, setBlog, setTotalParentCommentsLoaded } =useContext(BlogContext);
+    let { blog, blog: {_id, comments = { results: [] }, activity, activity: {total_comments, total_parent_comments}}, setBlog, setTotalParentCommentsLoaded } =useContext(BlogContext);
 
     let { userAuth: {access_token, username, fullname, profile_img }} = useContext(UserContext);
 
@@ -24,7 +25,7 @@ const CommentField = ({ action }) => {
         }
 
         axios.post(import.meta.env.VITE_SERVER_DOMAIN +"/add-comment", {
-            _id, blog_author, comment
+            _id, comment, replying_to: replyingTo
         }, {
             headers: {
                 'Authorization': `Bearer ${access_token}`
@@ -35,33 +36,33 @@ const CommentField = ({ action }) => {
             setComment("");
             data.commented_by = { personal_info: { username, profile_img, fullname} }
 
-            let newCommentArr;
-
-            data.childrenLevel = 0;
-            newCommentArr = [ data ]
-            let parentCommentIncreamentVal = 1;
+            // replies live in the comment card they answer, only top level comments are in the blog
+            if(replyingTo) {
+                onReply(data);
+                setBlog({...blog, activity: {...activity, total_comments: total_comments+1}});
+                return;
+            }
 
-            setBlog({...blog, comments: {...comments, results: newCommentArr}, activity: {...activity, total_comments: total_comments+1, total_parent_commments: total_parent_commments+parentCommentIncreamentVal}})
+            setBlog({...blog, comments: {...comments, results: [ data, ...comments.results ]}, activity: {...activity, total_comments: total_comments+1, total_parent_comments: total_parent_comments+1}})
 
-            setTotalParentCommentsLoaded(preVal => preVal + parentCommentIncreamentVal)
+            setTotalParentCommentsLoaded(preVal => preVal + 1)
 
         })
-        .catch(err => {
-            console.log(err);
+        .catch(({ response }) => {
+            toast.error(response.data.error);
         })
     }
 
     return(
         <>
-            <Toaster/>
             <textarea 
                 value={comment} 
                 onChange={(e) => setComment(e.target.value)}
                 placeholder="Leave a comment..." 
                 className="input-box pl-5 placeholder:text-dark-grey resize-none h-[150px] overflow-auto"></textarea>
-            <button className="btn-dark mt-5 px-10" onClick={handleComment}>{action}</button>
+            <button className="btn-dark mt-5 px-10 capitalize" onClick={handleComment}>{action}</button>
         </>
     )
 }
 
-export default CommentField;
\ No newline at end of file
+export default CommentField;
@@ -1,12 +1,52 @@
 import { useContext } from "react"
+import axios from "axios";
 import { BlogContext } from "../pages/blog.page"
 import CommentField from "./comment-field.component";
+import CommentCard from "./comment-card.component";
+import NoDataMessage from "./nodata.component";
+import AnimationWrapper from "../common/page-animation";
+
+// fetches the next top level comments of the blog, skip is the number already loaded
+export const fetchComments = async ({ skip = 0, blog_id, setParentCommentCountFun, comment_array = null }) => {
+
+    let res;
+
+    await axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/get-blog-comments", { blog_id, skip })
+    .then(({ data: { comments } }) => {
+
+        setParentCommentCountFun(preVal => preVal + comments.length);
+
+        res = { results: comment_array === null ? comments : [ ...comment_array, ...comments ] };
+    })
+    .catch(err => {
+        console.log(err);
+    })
+
+    return res;
+}
 
 const CommentsContainer =() => {
 
-    let { blog: {title}, commentsWrapper, setCommentsWrapper } = useContext(BlogContext);
+    let { blog, blog: { _id, title, comments: { results: commentsArr } = { results: [] }, activity: { total_parent_comments } }, setBlog, commentsWrapper, setCommentsWrapper, totalParentCommentsLoaded, setTotalParentCommentsLoaded } = useContext(BlogContext);
 
-    console.log(commentsWrapper);
+    const loadMoreComments = async () => {
+        let newCommentsArr = await fetchComments({ skip: totalParentCommentsLoaded, blog_id: _id, setParentCommentCountFun: setTotalParentCommentsLoaded, comment_array: commentsArr });
+
+        setBlog({ ...blog, comments: newCommentsArr });
+    }
+
+    // a deleted comment takes its replies with it
+    const removeComment = (index, deleted_count) => {
+        let { activity } = blog;
+
+        setBlog({
+            ...blog,
+            comments: { results: commentsArr.filter((_, i) => i !== index) },
+            activity: { ...activity, total_comments: activity.total_comments - deleted_count, total_parent_comments: activity.total_parent_comments - 1 }
+        });
+
+        setTotalParentCommentsLoaded(preVal => preVal - 1);
+    }
 
     return (
         <div className={"max-sm:w-full fixed " + (commentsWrapper ? "top-0 sm:right-0" : "top-[100%] sm:right-[-100%]") + " duration-700 max-sm:right-0 sm:top-0 w-[30%] min-w-[350px] h-full z-50 bg-white shadow-2xl p-8 px-16 overflow-y-auto overflow-x-hidden"}>
@@ -22,8 +62,26 @@ const CommentsContainer =() => {
             <hr className="border-grey my-8 w-[120%] -ml-10" />
 
             <CommentField action="comment"/>
+
+            {
+                commentsArr && commentsArr.length ?
+                commentsArr.map((comment, i) => {
+                    return <AnimationWrapper key={comment._id}>
+                        <CommentCard commentData={comment} onDelete={(deleted_count) => removeComment(i, deleted_count)} />
+                    </AnimationWrapper>
+                })
+                : <NoDataMessage message="No Comments" />
+            }
+
+            {
+                total_parent_comments > totalParentCommentsLoaded ?
+                <button onClick={loadMoreComments} className="text-dark-grey p-2 px-3 hover:bg-grey/30 rounded-md flex items-center gap-2">
+                    Load More
+                </button>
+                : ""
+            }
         </div>
     )
 }
 
-export default CommentsContainer;
\ No newline at end of file
+export default CommentsContainer;
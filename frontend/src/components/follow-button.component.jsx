@@ -0,0 +1,59 @@
+import { useContext, useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import { UserContext } from "../App";
+
+// Follow button of an author, not shown to signed out users and on their own profile
+// onChange gets the new number of followers
+const FollowButton = ({ username, onChange = () => {}, className = "" }) => {
+
+    let { userAuth: { access_token, username: signedInUsername } } = useContext(UserContext);
+
+    const [following, setFollowing] = useState(null); // null till the status is known
+
+    const authHeaders = {
+        headers: {
+            'Authorization': `Bearer ${access_token}`
+        }
+    }
+
+    useEffect(() => {
+        if(access_token && username !== signedInUsername) {
+            axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/is-following", { username }, authHeaders)
+            .then(({ data }) => {
+                setFollowing(data.following);
+            })
+            .catch(err => {
+                console.log(err);
+            })
+        }
+    }, [signedInUsername, username])
+
+    const handleFollow = (e) => {
+        e.preventDefault();
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/follow-user", { username, follow: !following }, authHeaders)
+        .then(({ data }) => {
+            e.target.removeAttribute("disabled");
+            setFollowing(data.following);
+            onChange(data.total_followers);
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    if(!access_token || username === signedInUsername || following === null) {
+        return null;
+    }
+
+    return (
+        <button className={(following ? "btn-light" : "btn-dark") + " py-2 disabled:opacity-50 " + className} onClick={handleFollow}>
+            {following ? "Following" : "Follow"}
+        </button>
+    )
+}
+
+export default FollowButton;
@@ -0,0 +1,42 @@
+import { useContext } from "react";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import { UserContext } from "../App";
+
+// Follow button of a tag, followedTags is the list of the signed in user kept by the page
+const FollowTagButton = ({ tag, followedTags, setFollowedTags, className = "" }) => {
+
+    let { userAuth: { access_token } } = useContext(UserContext);
+
+    let following = followedTags.includes(tag);
+
+    const handleFollow = (e) => {
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/follow-tag", { tag, follow: !following }, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(({ data }) => {
+            e.target.removeAttribute("disabled");
+            setFollowedTags(data.followed_tags);
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    if(!access_token) {
+        return null;
+    }
+
+    return (
+        <button className={(following ? "btn-light" : "btn-dark") + " py-2 disabled:opacity-50 " + className} onClick={handleFollow}>
+            {following ? "Following" : "Follow"} #{tag}
+        </button>
+    )
+}
+
+export default FollowTagButton;
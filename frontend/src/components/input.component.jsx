@@ -1,5 +1,5 @@
 import { useState } from 'react';
-const InputBox = ({name, type, id, value, placeholder, icon}) => {
+const InputBox = ({name, type, id, value, placeholder, icon, disable = false}) => {
 
     const [ passwordVisible, setPasswordVisible ] = useState(false);
 
@@ -11,6 +11,7 @@ const InputBox = ({name, type, id, value, placeholder, icon}) => {
                 placeholder={placeholder}
                 defaultValue={value}
                 id={id}
+                disabled={disable}
                 className = "input-box"
             />
 
@@ -0,0 +1,104 @@
+import { useContext } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import { UserContext } from "../App";
+import { getDay } from "../common/date";
+
+// Blog row of the admin dashboard, moderators can take down or restore and admins can delete any blog
+const ManageBlogCard = ({ blog, onUpdate, onRemove }) => {
+
+    let { blog_id, title, banner, draft, unpublished_by, publishedAt, activity: { total_reads, total_likes, total_comments }, author: { personal_info: { username } } } = blog;
+
+    let { userAuth: { access_token, role } } = useContext(UserContext);
+
+    const authHeaders = {
+        headers: {
+            'Authorization': `Bearer ${access_token}`
+        }
+    }
+
+    const handleUnpublish = (e) => {
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/admin/unpublish-blog", { blog_id }, authHeaders)
+        .then(({ data }) => {
+            onUpdate({ ...blog, draft: true, unpublished_by: data.unpublished_by });
+            toast.success("Blog taken down");
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    // the author can publish the blog again
+    const handleRestore = (e) => {
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/admin/restore-blog", { blog_id }, authHeaders)
+        .then(() => {
+            onUpdate({ ...blog, unpublished_by: null });
+            toast.success("The author can publish the blog again");
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    const handleDelete = (e) => {
+        if(!confirm(`Delete "${title}" with all its comments? This can't be undone.`)) {
+            return;
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/admin/delete-blog", { blog_id }, authHeaders)
+        .then(() => {
+            onRemove();
+            toast.success("Blog deleted");
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    return (
+        <div className="flex gap-5 items-center border-b border-grey pb-5 mb-5 max-sm:flex-col max-sm:items-start">
+            <img src={banner} alt="Blog banner" className="max-md:hidden w-28 h-28 flex-none bg-grey object-cover" />
+
+            <div className="w-full">
+                {
+                    draft ?
+                    <p className="blog-title">{title}</p>
+                    :
+                    <Link to={`/blog/${blog_id}`} className="blog-title">{title}</Link>
+                }
+                <p className="text-dark-grey mt-2">by <Link to={`/user/${username}`} className="underline">@{username}</Link> - {getDay(publishedAt)}</p>
+                <p className="text-dark-grey">{total_reads} Reads - {total_likes} Likes - {total_comments} Comments</p>
+                {
+                    unpublished_by ? <p className="text-red mt-1">Taken down</p>
+                    : draft ? <p className="text-purple mt-1">Draft</p> : ""
+                }
+            </div>
+
+            <div className="flex gap-3 items-center flex-none">
+                {
+                    unpublished_by ?
+                    <button className="btn-light py-2 disabled:opacity-50" onClick={handleRestore}>Restore</button>
+                    :
+                    <button className="btn-light py-2 disabled:opacity-50" onClick={handleUnpublish}>Take down</button>
+                }
+                {
+                    role === "admin" ?
+                    <button className="btn-dark bg-red py-2 disabled:opacity-50" onClick={handleDelete}>Delete</button>
+                    : ""
+                }
+            </div>
+        </div>
+    )
+}
+
+export default ManageBlogCard;
@@ -0,0 +1,66 @@
+import { useContext } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import { UserContext } from "../App";
+import { getDay } from "../common/date";
+
+// Comment row of the admin dashboard
+const ManageCommentCard = ({ comment, onRemove }) => {
+
+    let { _id, comment: text, commentedAt, isReply, commented_by, blog_id: blog } = comment;
+
+    let { userAuth: { access_token } } = useContext(UserContext);
+
+    const handleDelete = (e) => {
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/admin/delete-comment", { _id }, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(() => {
+            onRemove();
+            toast.success("Comment deleted");
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    return (
+        <div className="flex gap-5 items-start border-b border-grey pb-5 mb-5">
+            <div className="w-full">
+                <div className="flex gap-3 items-center mb-3">
+                    {
+                        commented_by ?
+                        <>
+                            <img src={commented_by.personal_info.profile_img} alt="Profile image" className="w-6 h-6 rounded-full" />
+                            <Link to={`/user/${commented_by.personal_info.username}`} className="line-clamp-1">@{commented_by.personal_info.username}</Link>
+                        </>
+                        :
+                        <p className="text-dark-grey">Deleted user</p>
+                    }
+                    <p className="min-w-fit text-dark-grey">{getDay(commentedAt)}</p>
+                </div>
+
+                <p className="font-gelasio text-xl">{text}</p>
+
+                <p className="text-dark-grey mt-2">
+                    {isReply ? "Reply on " : "Comment on "}
+                    {
+                        blog ?
+                        <Link to={`/blog/${blog.blog_id}`} className="underline">{blog.title}</Link>
+                        : "a deleted blog"
+                    }
+                </p>
+            </div>
+
+            <button className="btn-dark bg-red py-2 flex-none disabled:opacity-50" onClick={handleDelete}>Delete</button>
+        </div>
+    )
+}
+
+export default ManageCommentCard;
@@ -0,0 +1,137 @@
+import { useContext, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import { UserContext } from "../App";
+import { getFullDay } from "../common/date";
+
+const roles = ["reader", "author", "moderator", "admin"];
+
+// User row of the admin dashboard with suspend and role actions
+const ManageUserCard = ({ user, onUpdate }) => {
+
+    let { _id, personal_info: { fullname, username, email, profile_img }, account_info: { total_posts }, role, suspension, joinedAt } = user;
+
+    let { userAuth: { access_token, role: myRole, username: myUsername } } = useContext(UserContext);
+
+    // form to enter the reason and duration is shown before suspending
+    const [suspendForm, setSuspendForm] = useState(false);
+    const [reason, setReason] = useState("");
+    const [duration, setDuration] = useState("7");
+
+    const authHeaders = {
+        headers: {
+            'Authorization': `Bearer ${access_token}`
+        }
+    }
+
+    const handleSuspend = (e) => {
+        let suspend = !isSuspended;
+
+        if(suspend && !reason.trim().length) {
+            return toast.error("Give a reason for the suspension");
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/admin/suspend-user", {
+            user_id: _id,
+            suspend,
+            reason,
+            duration_days: duration === "permanent" ? null : Number(duration)
+        }, authHeaders)
+        .then(({ data }) => {
+            e.target.removeAttribute("disabled");
+            setSuspendForm(false);
+            setReason("");
+            onUpdate({ ...user, suspension: data.suspension });
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    const handleRoleChange = (e) => {
+        let newRole = e.target.value;
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/admin/update-role", { username, role: newRole }, authHeaders)
+        .then(() => {
+            onUpdate({ ...user, role: newRole });
+            toast.success(`@${username} is now ${newRole}`);
+        })
+        .catch(({ response }) => {
+            toast.error(response.data.error);
+        })
+    }
+
+    let isSuspended = suspension.is_suspended && (!suspension.expiresAt || new Date(suspension.expiresAt) > new Date());
+
+    // staff can only act on users with a lower role
+    let canSuspend = username !== myUsername && roles.indexOf(role) < roles.indexOf(myRole);
+
+    return (
+        <div className="flex gap-5 items-center border-b border-grey pb-5 mb-5 max-sm:flex-col max-sm:items-start">
+            <img src={profile_img} alt="Profile image" className="w-14 h-14 flex-none rounded-full" />
+
+            <div className="w-full">
+                <Link to={`/user/${username}`} className="font-medium text-xl line-clamp-1 capitalize">{fullname}</Link>
+                <p className="text-dark-grey">@{username} - {email}</p>
+                <p className="text-dark-grey">{total_posts} Blogs - Joined on {getFullDay(joinedAt)}</p>
+                {
+                    isSuspended ?
+                    <p className="text-red mt-1">
+                        Suspended {suspension.expiresAt ? "till " + getFullDay(suspension.expiresAt) : "permanently"}
+                        {suspension.reason ? " - " + suspension.reason : ""}
+                    </p>
+                    : ""
+                }
+
+                {
+                    suspendForm ?
+                    <div className="flex gap-3 mt-3 max-sm:flex-col">
+                        <input
+                            type="text"
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            placeholder="Reason, shown to the user"
+                            className="input-box pl-4 py-2"
+                        />
+                        <select value={duration} onChange={(e) => setDuration(e.target.value)} className="bg-grey rounded-md p-2">
+                            <option value="1">1 day</option>
+                            <option value="7">7 days</option>
+                            <option value="30">30 days</option>
+                            <option value="permanent">Permanent</option>
+                        </select>
+                        <button className="btn-dark bg-red py-2 disabled:opacity-50" onClick={handleSuspend}>Confirm</button>
+                        <button className="btn-light py-2" onClick={() => setSuspendForm(false)}>Cancel</button>
+                    </div>
+                    : ""
+                }
+            </div>
+
+            <div className="flex gap-3 items-center flex-none">
+                {
+                    myRole === "admin" ?
+                    <select value={role} onChange={handleRoleChange} disabled={username === myUsername} className="bg-grey rounded-md p-2 capitalize">
+                        {
+                            roles.map(r => <option key={r} value={r}>{r}</option>)
+                        }
+                    </select>
+                    :
+                    <p className="capitalize text-dark-grey">{role}</p>
+                }
+
+                {
+                    !canSuspend || suspendForm ? "" :
+                    isSuspended ?
+                    <button className="btn-light py-2 disabled:opacity-50" onClick={handleSuspend}>Unsuspend</button>
+                    :
+                    <button className="btn-dark bg-red py-2" onClick={() => setSuspendForm(true)}>Suspend</button>
+                }
+            </div>
+        </div>
+    )
+}
+
+export default ManageUserCard;
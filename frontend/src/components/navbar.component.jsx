@@ -1,8 +1,11 @@
-import { useContext, useState } from 'react';
+import { useContext, useEffect, useState } from 'react';
 import { Link, Outlet, useNavigate } from 'react-router-dom';
 import logo from '../imgs/logo.png';
+import axios from 'axios';
+import { Toaster, toast } from 'react-hot-toast';
 import { UserContext } from '../App';
 import UserNavigationPanel from './user-navigation.component';
+import VerifyEmailBanner from './verify-email-banner.component';
 
 const Navbar = () => {
 
@@ -15,7 +18,52 @@ const Navbar = () => {
     let navigate = useNavigate();
 
     // Show user profile and logout button not signin button
-    const { userAuth, userAuth: { access_token, profile_img } } = useContext(UserContext);
+    const { userAuth: { access_token, profile_img, new_notification_count }, setUserAuth } = useContext(UserContext);
+
+    // number on the bell, the notifications page sets it back to 0
+    const fetchNotificationCount = () => {
+        axios.get(import.meta.env.VITE_SERVER_DOMAIN + "/new-notifications-count", {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(({ data: { count } }) => {
+            setUserAuth(userAuth => ({ ...userAuth, new_notification_count: count }));
+        })
+        .catch(err => {
+            console.log(err);
+        })
+    }
+
+    useEffect(() => {
+        if(!access_token) {
+            return;
+        }
+
+        fetchNotificationCount();
+
+        // new likes and comments are pushed by the server as they happen
+        let stream = new EventSource(import.meta.env.VITE_SERVER_DOMAIN + "/notifications/stream?access_token=" + encodeURIComponent(access_token));
+
+        stream.addEventListener("notification", ({ data }) => {
+            let { type, blog, user: { personal_info: { username } } } = JSON.parse(data);
+
+            let action = type === "like" ? "liked your blog" : type === "comment" ? "commented on" : type === "follow" ? "started following you" : "replied on";
+
+            setUserAuth(userAuth => ({ ...userAuth, new_notification_count: (userAuth.new_notification_count || 0) + 1 }));
+            toast(`@${username} ${action}` + (blog ? ` "${blog.title}"` : ""), { icon: "🔔" });
+        });
+
+        stream.onerror = () => {
+            // an expired access token is refused when reconnecting, an authorized request
+            // refreshes it and the stream is opened again with the new one
+            if(stream.readyState === EventSource.CLOSED) {
+                fetchNotificationCount();
+            }
+        }
+
+        return () => stream.close();
+    }, [access_token])
 
     const handleUserNavPanel = () => {
         setUserNavPanel(currentVal => !currentVal);
@@ -81,6 +129,13 @@ const Navbar = () => {
                         <Link to="/dashboard/notification">
                             <button className='w-12 h-12 rounded-full bg-grey relative hover:bg-black/10'>
                                 <i className='fi fi-rr-bell text-2xl block mt-1'></i>
+                                {
+                                    new_notification_count ?
+                                    <span className='absolute -top-1 -right-1 min-w-[20px] h-5 px-1 rounded-full bg-red text-white text-xs flex items-center justify-center'>
+                                        {new_notification_count > 99 ? "99+" : new_notification_count}
+                                    </span>
+                                    : ""
+                                }
                             </button>
                         </Link>
 
@@ -113,6 +168,9 @@ const Navbar = () => {
             </div>
 
         </nav>
+        {/* one Toaster for every page under the navbar */}
+        <Toaster />
+        <VerifyEmailBanner />
         <Outlet></Outlet>
         </>
     )
@@ -0,0 +1,47 @@
+import { Link } from "react-router-dom";
+import { getDay } from "../common/date";
+
+// One notification of the inbox, unseen ones are highlighted
+const NotificationCard = ({ notification }) => {
+
+    let { type, seen, createdAt, blog, comment, replied_on_comment, user: { personal_info: { fullname, username, profile_img } } } = notification;
+
+    let action = type === "like" ? "liked your blog" : type === "comment" ? "commented on" : type === "follow" ? "started following you" : "replied on";
+
+    return (
+        <div className={"p-6 border-b border-grey border-l-black " + (!seen ? "border-l-2" : "")}>
+            <div className="flex gap-5 mb-3">
+                <img src={profile_img} alt={fullname} className="w-14 h-14 flex-none rounded-full" />
+
+                <div className="w-full">
+                    <h1 className="font-medium text-xl text-dark-grey">
+                        <span className="lg:inline-block hidden capitalize">{fullname}</span>
+                        <Link to={`/user/${username}`} className="mx-1 text-black underline">@{username}</Link>
+                        <span className="font-normal">{action}</span>
+                    </h1>
+
+                    {
+                        type === "reply" && replied_on_comment ?
+                        <div className="p-4 mt-4 rounded-md bg-grey">
+                            <p>{replied_on_comment.comment}</p>
+                        </div>
+                        :
+                        blog ?
+                        <Link to={`/blog/${blog.blog_id}`} className="font-medium text-dark-grey hover:underline line-clamp-1">{`"${blog.title}"`}</Link>
+                        : ""
+                    }
+                </div>
+            </div>
+
+            {
+                type !== "like" && comment ?
+                <p className="ml-14 pl-5 font-gelasio text-xl my-5">{comment.comment}</p>
+                : ""
+            }
+
+            <p className="ml-14 pl-5 text-dark-grey">{getDay(createdAt)}</p>
+        </div>
+    )
+}
+
+export default NotificationCard;
@@ -6,6 +6,13 @@ import Tag from "./tags.component";
 import axios from "axios";
 import { UserContext } from "../App";
 import { useNavigate, useParams } from "react-router-dom";
+import { getFullDay } from "../common/date";
+
+// value of a datetime-local input is in local time without the timezone
+const toInputDateTime = (date) => {
+    date = new Date(date);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
 
 const PublishForm = () => {
 
@@ -14,7 +21,7 @@ const PublishForm = () => {
 
     let {blog_id} = useParams();
 
-    let { blog, blog: { banner, title, tags, des, content}, setEditorState, setBlog } = useContext(EditorContext);
+    let { blog, blog: { banner, title, tags, des, content, scheduledAt }, setEditorState, setBlog } = useContext(EditorContext);
 
     let { userAuth: { access_token } } = useContext(UserContext);
 
@@ -35,6 +42,16 @@ const PublishForm = () => {
         setBlog({ ...blog, des: input.value })
     }
 
+    const handleScheduleToggle = (e) => {
+        // by default one hour from now
+        setBlog({ ...blog, scheduledAt: e.target.checked ? new Date(Date.now() + 60 * 60 * 1000).toISOString() : null });
+    }
+
+    const handleScheduleChange = (e) => {
+        let value = e.target.value;
+        setBlog({ ...blog, scheduledAt: value ? new Date(value).toISOString() : null });
+    }
+
     const handleTitleKeyDown = (e) => {
         if(e.keyCode === 13)
             e.preventDefault();
@@ -76,15 +93,19 @@ const PublishForm = () => {
             return toast.error("Enter atleast 1 tag to help us rank your blog");
         }
 
+        if(scheduledAt && new Date(scheduledAt) <= new Date()) {
+            return toast.error("Schedule time must be in the future");
+        }
+
         // send the data to backend
-        let loadingToast = toast.loading("Publishing...");
+        let loadingToast = toast.loading(scheduledAt ? "Scheduling..." : "Publishing...");
 
         // publishing the blog again is need to be disable
         e.target.classList.add("disable");
 
         // what data needs to send to backend
         let blogObj = {
-            title, banner, des, content, tags, draft: false
+            title, banner, des, content, tags, draft: false, scheduledAt
         }
 
         // headers is passed for authorization. In Real access token is send to backend
@@ -96,12 +117,12 @@ const PublishForm = () => {
         .then(() => {
             e.target.classList.remove("disable");
             toast.dismiss(loadingToast);
-            toast.success("Published 👍");
+            toast.success(scheduledAt ? `Scheduled for ${getFullDay(scheduledAt)} ${new Date(scheduledAt).toLocaleTimeString()}` : "Published 👍");
 
             // after .5sec remove the publish toast and render to blog page
             setTimeout(()=> {
-                // Navigate to home page
-                navigate("/");
+                // scheduled blogs are listed with the drafts until they are published
+                navigate(scheduledAt ? "/dashboard/blogs?tab=draft" : "/dashboard/blogs");
             }, 500);
         })
         .catch(( { response } ) => {
@@ -170,7 +191,24 @@ const PublishForm = () => {
 
                     <p className="mt-1 mb-4 text-dark-grey text-right">{tagLimit - tags.length } tags left</p>
 
-                    <button className="btn-dark px-8" onClick={publishBlog}>Publish</button>
+                    <label className="flex items-center gap-3 text-dark-grey mb-4 cursor-pointer">
+                        <input type="checkbox" className="w-4 h-4" checked={Boolean(scheduledAt)} onChange={handleScheduleToggle} />
+                        Schedule for later
+                    </label>
+
+                    {
+                        scheduledAt ?
+                        <>
+                            <input type="datetime-local" className="input-box pl-4" min={toInputDateTime(new Date())}
+                            value={toInputDateTime(scheduledAt)}
+                            onChange={handleScheduleChange}
+                            />
+                            <p className="mt-1 mb-4 text-dark-grey text-sm">The blog stays a draft until then. Saving it as a draft cancels the schedule.</p>
+                        </>
+                        : ""
+                    }
+
+                    <button className="btn-dark px-8" onClick={publishBlog}>{scheduledAt ? "Schedule" : "Publish"}</button>
 
                 </div>
 
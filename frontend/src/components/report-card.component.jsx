@@ -0,0 +1,135 @@
+import { useContext, useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import { UserContext } from "../App";
+import { getDay } from "../common/date";
+import { reportReasons } from "../common/report-reasons";
+
+// One reported blog, comment or user of the moderation queue with all its reports grouped together
+const ReportCard = ({ report, onResolve }) => {
+
+    let { target_type, target, preview, total_reports, reason_counts, details, lastReportedAt, action, resolved_by, resolvedAt } = report;
+
+    let { userAuth: { access_token } } = useContext(UserContext);
+
+    const [suspending, setSuspending] = useState(false);
+    const [reason, setReason] = useState("");
+    const [durationDays, setDurationDays] = useState("");
+
+    const resolve = (e, action) => {
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/admin/resolve-reports", {
+            target_type, target, action, reason, duration_days: durationDays ? Number(durationDays) : null
+        }, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(() => {
+            toast.success(action === "dismiss" ? "Reports dismissed" : action === "hide" ? "Content hidden" : "User suspended");
+            onResolve();
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    const renderPreview = () => {
+        if(!preview) {
+            return <p className="text-dark-grey">{`This ${target_type} doesn't exist anymore`}</p>
+        }
+
+        if(target_type === "blog") {
+            let { title, blog_id, draft, author } = preview;
+            return <>
+                <Link to={`/blog/${blog_id}`} className="blog-title hover:underline">{title}</Link>
+                <p className="text-dark-grey">by @{author.personal_info.username}{draft ? " - Unpublished" : ""}</p>
+            </>
+        }
+
+        if(target_type === "comment") {
+            let { comment, commented_by, blog_id } = preview;
+            return <>
+                <p className="font-gelasio text-xl line-clamp-3">{comment}</p>
+                <p className="text-dark-grey">by @{commented_by.personal_info.username}{blog_id ? <> on <Link to={`/blog/${blog_id.blog_id}`} className="underline">{blog_id.title}</Link></> : ""}</p>
+            </>
+        }
+
+        let { personal_info: { username, fullname, profile_img }, suspension } = preview;
+        return <div className="flex gap-3 items-center">
+            <img src={profile_img} alt={fullname} className="w-10 h-10 rounded-full" />
+            <div>
+                <Link to={`/user/${username}`} className="font-medium hover:underline">@{username}</Link>
+                <p className="text-dark-grey">{fullname}{suspension && suspension.is_suspended ? " - Suspended" : ""}</p>
+            </div>
+        </div>
+    }
+
+    return (
+        <div className="border-b border-grey pb-6 mb-6">
+            <div className="flex justify-between gap-4 mb-3">
+                <p className="uppercase text-sm text-dark-grey">{target_type} - {total_reports} {total_reports === 1 ? "report" : "reports"}</p>
+                <p className="text-sm text-dark-grey">Last reported {getDay(lastReportedAt)}</p>
+            </div>
+
+            {renderPreview()}
+
+            <div className="flex flex-wrap gap-2 mt-4">
+                {
+                    Object.keys(reason_counts).map(key => {
+                        return <span key={key} className="bg-grey rounded-full px-3 py-1 text-sm">{reportReasons[key] || key} x{reason_counts[key]}</span>
+                    })
+                }
+            </div>
+
+            {
+                details.map((detail, i) => {
+                    return <p key={i} className="text-dark-grey mt-2 pl-3 border-l-2 border-grey">{detail}</p>
+                })
+            }
+
+            {
+                action ?
+                <p className="mt-4 text-dark-grey">
+                    {action === "dismiss" ? "Dismissed" : action === "hide" ? "Hidden" : "Author suspended"}
+                    {resolved_by ? ` by @${resolved_by.personal_info.username}` : ""} on {getDay(resolvedAt)}
+                </p>
+                :
+                <>
+                    <div className="flex flex-wrap gap-3 mt-5">
+                        <button className="btn-light py-2 disabled:opacity-50" onClick={(e) => resolve(e, "dismiss")}>Dismiss</button>
+                        {
+                            target_type !== "user" && preview ?
+                            <button className="btn-light py-2 disabled:opacity-50" onClick={(e) => resolve(e, "hide")}>
+                                {target_type === "blog" ? "Unpublish blog" : "Delete comment"}
+                            </button>
+                            : ""
+                        }
+                        {
+                            preview ?
+                            <button className="btn-dark bg-red py-2" onClick={() => setSuspending(preVal => !preVal)}>
+                                Suspend {target_type === "user" ? "user" : "author"}
+                            </button>
+                            : ""
+                        }
+                    </div>
+
+                    {
+                        suspending ?
+                        <div className="mt-4 flex max-sm:flex-col gap-3">
+                            <input type="text" placeholder="Reason, the user will see it" className="input-box pl-4" value={reason} onChange={(e) => setReason(e.target.value)} />
+                            <input type="number" min="1" placeholder="Days (empty for permanent)" className="input-box pl-4 sm:w-[260px]" value={durationDays} onChange={(e) => setDurationDays(e.target.value)} />
+                            <button className="btn-dark bg-red py-2 disabled:opacity-50" onClick={(e) => resolve(e, "suspend")}>Suspend</button>
+                        </div>
+                        : ""
+                    }
+                </>
+            }
+        </div>
+    )
+}
+
+export default ReportCard;
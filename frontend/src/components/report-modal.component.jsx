@@ -0,0 +1,69 @@
+import { useContext, useState } from "react";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import { UserContext } from "../App";
+import { reportReasons } from "../common/report-reasons";
+
+// Modal to report a blog, a comment or a user to the moderators
+const ReportModal = ({ target_type, target, onClose }) => {
+
+    let { userAuth: { access_token } } = useContext(UserContext);
+
+    const [reason, setReason] = useState("");
+    const [details, setDetails] = useState("");
+
+    const handleSubmit = (e) => {
+        if(!reason) {
+            return toast.error("Choose a reason for the report");
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/report", { target_type, target, reason, details }, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(({ data }) => {
+            toast.success(data.status);
+            onClose();
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 px-[5vw]" onClick={onClose}>
+            <div className="bg-white rounded-md p-8 w-full max-w-[450px]" onClick={(e) => e.stopPropagation()}>
+                <h1 className="text-xl font-medium mb-2">Report this {target_type}</h1>
+                <p className="text-dark-grey mb-6">Why are you reporting it?</p>
+
+                {
+                    Object.keys(reportReasons).map(key => {
+                        return <label key={key} className="flex items-center gap-3 py-2 cursor-pointer">
+                            <input type="radio" name="reason" value={key} checked={reason === key} onChange={() => setReason(key)} />
+                            {reportReasons[key]}
+                        </label>
+                    })
+                }
+
+                <textarea
+                    value={details}
+                    maxLength={500}
+                    onChange={(e) => setDetails(e.target.value)}
+                    placeholder="Anything the moderators should know (optional)"
+                    className="input-box pl-5 mt-4 resize-none h-[100px] placeholder:text-dark-grey"
+                ></textarea>
+
+                <div className="flex gap-3 justify-end mt-6">
+                    <button className="btn-light py-2" onClick={onClose}>Cancel</button>
+                    <button className="btn-dark py-2 disabled:opacity-50" onClick={handleSubmit}>Report</button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+export default ReportModal;
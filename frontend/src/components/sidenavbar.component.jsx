@@ -0,0 +1,78 @@
+import { useContext } from "react";
+import { NavLink, Navigate, Outlet } from "react-router-dom";
+import { UserContext } from "../App";
+
+// Side navigation of the dashboard and settings pages, the selected page is rendered in the Outlet
+const SideNav = () => {
+
+    let { userAuth: { access_token, new_notification_count } } = useContext(UserContext);
+
+    const navLinkClass = ({ isActive }) => "sidebar-link" + (isActive ? " active" : "");
+
+    return (
+        access_token === null ?
+        <Navigate to="/signin" />
+        :
+        <section className="relative flex gap-10 py-0 m-0 max-md:flex-col">
+            <div className="sticky top-[80px] z-30 md:h-cover md:min-w-[200px] md:border-r border-grey md:pr-0 py-6 max-md:border-b max-md:bg-white">
+
+                <div className="flex md:flex-col gap-2 max-md:overflow-x-auto">
+                    <h1 className="max-md:hidden text-xl text-dark-grey mb-3">Dashboard</h1>
+                    <hr className="max-md:hidden border-grey -ml-6 mb-6 mr-6" />
+
+                    <NavLink to="/dashboard/blogs" className={navLinkClass}>
+                        <i className="fi fi-rr-document"></i>
+                        Blogs
+                    </NavLink>
+
+                    <NavLink to="/dashboard/notification" className={navLinkClass}>
+                        <div className="relative">
+                            <i className="fi fi-rr-bell"></i>
+                            {
+                                new_notification_count ?
+                                <span className="absolute top-0 -right-1 w-2 h-2 rounded-full bg-red"></span>
+                                : ""
+                            }
+                        </div>
+                        Notifications
+                    </NavLink>
+
+                    <NavLink to="/editor" className={navLinkClass}>
+                        <i className="fi fi-rr-file-edit"></i>
+                        Write
+                    </NavLink>
+
+                    <h1 className="max-md:hidden text-xl text-dark-grey mt-10 mb-3">Settings</h1>
+                    <hr className="max-md:hidden border-grey -ml-6 mb-6 mr-6" />
+
+                    <NavLink to="/settings/edit-profile" className={navLinkClass}>
+                        <i className="fi fi-rr-user"></i>
+                        Edit Profile
+                    </NavLink>
+
+                    <NavLink to="/settings/change-password" className={navLinkClass}>
+                        <i className="fi fi-rr-lock"></i>
+                        Change Password
+                    </NavLink>
+
+                    <NavLink to="/settings/two-factor" className={navLinkClass}>
+                        <i className="fi fi-rr-shield-check"></i>
+                        Two-Factor Auth
+                    </NavLink>
+
+                    <NavLink to="/settings/sessions" className={navLinkClass}>
+                        <i className="fi fi-rr-computer"></i>
+                        Sessions
+                    </NavLink>
+                </div>
+
+            </div>
+
+            <div className="max-md:-mt-8 mt-5 w-full">
+                <Outlet />
+            </div>
+        </section>
+    )
+}
+
+export default SideNav;
@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+
+// Second step of sign in, asks for the code of the authenticator app or a backup code
+const TwoFactorChallenge = ({ twoFactorToken, onVerified, onCancel }) => {
+
+    const [code, setCode] = useState("");
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        if(!code.trim().length) {
+            return toast.error("Enter the code from your authenticator app");
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/2fa/verify", { two_factor_token: twoFactorToken, code })
+        .then(({ data }) => {
+            onVerified(data);
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            setCode("");
+            toast.error(response.data.error);
+
+            // the sign in has to start again once the token expires or too many codes were wrong
+            if(response.data.error.includes("Sign in again")) {
+                onCancel();
+            }
+        })
+    }
+
+    return (
+        <AnimationWrapper keyValue="two-factor">
+            <form className="w-[80%] max-w-[400px]">
+                <h1 className="text-4xl font-gelasio capitalize text-center mb-24">
+                    Two-factor authentication
+                </h1>
+
+                <p className="text-dark-grey mb-6">Enter the 6 digit code from your authenticator app. If you lost your phone, enter one of your backup codes.</p>
+
+                <div className="relative w-[100%] mb-4">
+                    <input
+                        type="text"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        placeholder="Code"
+                        autoComplete="one-time-code"
+                        autoFocus
+                        className="input-box"
+                    />
+                    <i className="fi fi-rr-shield-check input-icon"></i>
+                </div>
+
+                <button className="btn-dark center mt-14" type="submit" onClick={handleSubmit}>
+                    Verify
+                </button>
+
+                <button className="block mx-auto mt-6 text-dark-grey underline" type="button" onClick={onCancel}>
+                    Back to sign in
+                </button>
+            </form>
+        </AnimationWrapper>
+    )
+}
+
+export default TwoFactorChallenge;
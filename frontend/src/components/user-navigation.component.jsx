@@ -2,13 +2,22 @@ import { useContext } from "react";
 import AnimationWrapper from "../common/page-animation";
 import { Link } from "react-router-dom";
 import { UserContext } from "../App";
-import { removeFromSession } from "../common/session";
+import { lookInSession, removeFromSession } from "../common/session";
+import axios from "axios";
 
 const UserNavigationPanel = () => {
 
-    const {userAuth: {username}, setUserAuth } = useContext(UserContext);
+    const {userAuth: {username, role}, setUserAuth } = useContext(UserContext);
 
     const signOutUser = () => {
+        let { refresh_token } = JSON.parse(lookInSession("user") || "{}");
+
+        // revoke the refresh token on the server so it can't be used again
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/signout", { refresh_token })
+        .catch(err => {
+            console.log(err);
+        })
+
         removeFromSession("user");
         setUserAuth({ access_token: null})
     }
@@ -38,6 +47,14 @@ const UserNavigationPanel = () => {
                         Settings
                     </Link>
 
+                    {
+                        role === "moderator" || role === "admin" ?
+                        <Link to="/admin" className="link pl-8 py-4">
+                            Admin
+                        </Link>
+                        : ""
+                    }
+
                     <span className="absolute border-t border-grey w-[100%]"></span>
 
                     <button
@@ -1,19 +1,24 @@
 import { Link } from "react-router-dom";
+import FollowButton from "./follow-button.component";
 
 const UserCard = ( { user }) => {
 
     let { personal_info: { fullname, username, profile_img } } = user;
 
     return (
-        <Link to={`/user/${username}`} className="flex gap-5 items-center mb-5">
-            <img src={profile_img} alt="Profile image" className="w-14 h-14 rounded-full" />
+        <div className="flex gap-5 items-center mb-5">
+            <Link to={`/user/${username}`} className="flex gap-5 items-center w-full">
+                <img src={profile_img} alt="Profile image" className="w-14 h-14 rounded-full" />
 
-            <div>
-                <h1 className="font-medium text-xl line-clamp-2">{fullname}</h1>
-                <p className="text-dark-grey">@{username}</p>
-            </div>
-        </Link>
+                <div>
+                    <h1 className="font-medium text-xl line-clamp-2">{fullname}</h1>
+                    <p className="text-dark-grey">@{username}</p>
+                </div>
+            </Link>
+
+            <FollowButton username={username} className="flex-none" />
+        </div>
     )
 }
 
-export default UserCard;
\ No newline at end of file
+export default UserCard;
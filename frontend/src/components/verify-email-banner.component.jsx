@@ -0,0 +1,42 @@
+import { useContext } from "react";
+import axios from "axios";
+import { toast } from "react-hot-toast";
+import { UserContext } from "../App";
+
+// Shown under the navbar till a password signup verifies its email
+const VerifyEmailBanner = () => {
+
+    let { userAuth: { access_token, email_verified } } = useContext(UserContext);
+
+    const resendVerification = (e) => {
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/resend-verification", {}, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(({ data }) => {
+            toast.success(data.status);
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    if(!access_token || email_verified !== false) {
+        return null;
+    }
+
+    return (
+        <div className="flex max-sm:flex-col items-center justify-center gap-2 sm:gap-4 bg-purple/10 px-[5vw] py-3 text-center">
+            <p>Verify your email to start writing blogs and comments. Check your inbox for the link.</p>
+            <button className="underline text-purple disabled:opacity-50" onClick={resendVerification}>
+                Resend verification
+            </button>
+        </div>
+    )
+}
+
+export default VerifyEmailBanner;
@@ -0,0 +1,200 @@
+import { useContext, useEffect, useState } from "react";
+import { Link, Navigate } from "react-router-dom";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import InPageNavigation from "../components/inpage-navigation.component";
+import Loader from "../components/loader.component";
+import NoDataMessage from "../components/nodata.component";
+import LoadMoreDataBtn from "../components/load-more.component";
+import ManageUserCard from "../components/manage-user-card.component";
+import ManageBlogCard from "../components/manage-blog-card.component";
+import ManageCommentCard from "../components/manage-comment-card.component";
+import { UserContext } from "../App";
+import { filterPaginationData } from "../common/filter-pagination-data";
+
+const AdminDashboard = () => {
+
+    let { userAuth: { access_token, username, role } } = useContext(UserContext);
+
+    let isStaff = role === "moderator" || role === "admin";
+
+    const [stats, setStats] = useState(null);
+    const [users, setUsers] = useState(null);
+    const [blogs, setBlogs] = useState(null);
+    const [comments, setComments] = useState(null);
+    const [query, setQuery] = useState("");
+
+    const authHeaders = {
+        headers: {
+            'Authorization': `Bearer ${access_token}`
+        }
+    }
+
+    const fetchStats = () => {
+        axios.get(import.meta.env.VITE_SERVER_DOMAIN + "/admin/stats", authHeaders)
+        .then(({ data }) => {
+            setStats(data);
+        })
+        .catch(err => {
+            console.log(err);
+        })
+    }
+
+    // fetches one page of users, blogs or comments and adds it to the state
+    const fetchList = ({ route, key, state, setState, page = 1, create_new_arr = false, data_to_send = {} }) => {
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + route, { ...data_to_send, page }, authHeaders)
+        .then(async ({ data }) => {
+            let formatedData = await filterPaginationData({
+                state,
+                data: data[key],
+                page,
+                countRoute: route + "-count",
+                data_to_send,
+                user: access_token,
+                create_new_arr
+            });
+
+            setState(formatedData);
+        })
+        .catch(err => {
+            console.log(err);
+        })
+    }
+
+    const getUsers = ({ page = 1, create_new_arr = false }) => {
+        fetchList({ route: "/admin/users", key: "users", state: users, setState: setUsers, page, create_new_arr, data_to_send: { query } });
+    }
+
+    const getBlogs = ({ page = 1, create_new_arr = false }) => {
+        fetchList({ route: "/admin/blogs", key: "blogs", state: blogs, setState: setBlogs, page, create_new_arr, data_to_send: { query } });
+    }
+
+    const getComments = ({ page = 1, create_new_arr = false }) => {
+        fetchList({ route: "/admin/comments", key: "comments", state: comments, setState: setComments, page, create_new_arr });
+    }
+
+    useEffect(() => {
+        if(access_token && isStaff) {
+            fetchStats();
+            getComments({ page: 1, create_new_arr: true });
+        }
+    }, [username])
+
+    useEffect(() => {
+        if(access_token && isStaff) {
+            setUsers(null);
+            setBlogs(null);
+            getUsers({ page: 1, create_new_arr: true });
+            getBlogs({ page: 1, create_new_arr: true });
+        }
+    }, [username, query])
+
+    const handleSearch = (e) => {
+        if(e.keyCode === 13) {
+            setQuery(e.target.value.trim());
+        }
+    }
+
+    // replace or remove one item of a list without fetching it again
+    const updateItem = (state, setState, index, item) => {
+        let results = [...state.results];
+        results[index] = item;
+        setState({ ...state, results });
+    }
+
+    const removeItem = (state, setState, index) => {
+        let results = state.results.filter((_, i) => i !== index);
+        setState({ ...state, results, totalDocs: state.totalDocs - 1 });
+        fetchStats();
+    }
+
+    const renderList = (state, fetchDataFun, message, renderItem) => {
+        return (
+            state === null ? <Loader /> :
+            <>
+                {
+                    state.results.length ?
+                    state.results.map((item, i) => {
+                        return <AnimationWrapper key={item._id || i} transition={{ duration: 1, delay: i * 0.04 }}>
+                            {renderItem(item, i)}
+                        </AnimationWrapper>
+                    })
+                    :
+                    <NoDataMessage message={message} />
+                }
+                <LoadMoreDataBtn state={state} fetchDataFun={fetchDataFun} />
+            </>
+        )
+    }
+
+    let statCards = stats ? [
+        ["Users", stats.total_users],
+        ["Suspended", stats.suspended_users],
+        ["Published", stats.published_blogs],
+        ["Drafts", stats.draft_blogs],
+        ["Comments", stats.total_comments],
+        ["Reads", stats.total_reads],
+        ["Likes", stats.total_likes]
+    ] : [];
+
+    return (
+        access_token === null ?
+        <Navigate to="/signin" />
+        :
+        !isStaff ?
+        <Navigate to="/" />
+        :
+        <AnimationWrapper>
+            <section className="h-cover">
+                <div className="flex justify-between items-center mb-8">
+                    <h1 className="text-2xl font-medium">Admin Dashboard</h1>
+                    <Link to="/admin/reports" className="btn-light py-2">Moderation Queue</Link>
+                </div>
+
+                {
+                    stats === null ? <Loader /> :
+                    <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-4 mb-10">
+                        {
+                            statCards.map(([label, value]) => {
+                                return <div key={label} className="bg-grey/50 rounded-md p-4">
+                                    <p className="text-3xl font-bold">{value.toLocaleString()}</p>
+                                    <p className="text-dark-grey">{label}</p>
+                                </div>
+                            })
+                        }
+                    </div>
+                }
+
+                <div className="relative mb-8">
+                    <input
+                        type="search"
+                        placeholder="Search users by name, username or email and blogs by title"
+                        className="w-full bg-grey p-4 pl-12 pr-6 rounded-full placeholder:text-dark-grey"
+                        onKeyDown={handleSearch}
+                    />
+                    <i className="fi fi-rr-search absolute left-5 top-1/2 -translate-y-1/2 text-xl text-dark-grey"></i>
+                </div>
+
+                <InPageNavigation routes={["Users", "Blogs", "Comments"]}>
+                    {
+                        renderList(users, getUsers, "No users found", (user, i) =>
+                            <ManageUserCard user={user} onUpdate={(item) => updateItem(users, setUsers, i, item)} />
+                        )
+                    }
+                    {
+                        renderList(blogs, getBlogs, "No blogs found", (blog, i) =>
+                            <ManageBlogCard blog={blog} onUpdate={(item) => updateItem(blogs, setBlogs, i, item)} onRemove={() => removeItem(blogs, setBlogs, i)} />
+                        )
+                    }
+                    {
+                        renderList(comments, getComments, "No comments yet", (comment, i) =>
+                            <ManageCommentCard comment={comment} onRemove={() => removeItem(comments, setComments, i)} />
+                        )
+                    }
+                </InPageNavigation>
+            </section>
+        </AnimationWrapper>
+    )
+}
+
+export default AdminDashboard;
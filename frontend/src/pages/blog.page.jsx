@@ -7,7 +7,7 @@ import { getDay } from "../common/date";
 import BlogInteraction from "../components/blog-interaction.component";
 import BlogPostCard from "../components/blog-post.component";
 import BlogContent from "../components/blog-content.component";
-import CommentsContainer from '../components/comments.component';
+import CommentsContainer, { fetchComments } from '../components/comments.component';
 
 export const blogStructure = {
     title: '',
@@ -31,11 +31,13 @@ const BlogPage = () => {
     const [ commentsWrapper, setCommentsWrapper] = useState(false);
     const [ totalParentCommentsLoaded, setTotalParentCommentsLoaded] = useState(0);
 
-    let { title, content, banner, author: { personal_info: {fullname, username: author_username, profile_img}}, publishedAt} = blog;
+    let { title, content, banner, tags = [], author: { personal_info: {fullname, username: author_username, profile_img}}, publishedAt} = blog;
 
     const fetchBlog = () => {
         axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/get-blog", { blog_id})
-        .then(({data: {blog}}) => {
+        .then(async ({data: {blog}}) => {
+
+            blog.comments = await fetchComments({ blog_id: blog._id, setParentCommentCountFun: setTotalParentCommentsLoaded });
 
             setBlog(blog);
             console.log(blog.content);
@@ -110,6 +112,14 @@ const BlogPage = () => {
                             }
                         </div>
 
+                        <div className="flex gap-3 flex-wrap mb-8">
+                            {
+                                tags.map(tag => {
+                                    return <Link key={tag} to={`/tag/${encodeURIComponent(tag)}`} className="tag hover:bg-black/10">{tag}</Link>
+                                })
+                            }
+                        </div>
+
                         <BlogInteraction />
 
                         {
@@ -0,0 +1,92 @@
+import { useContext, useRef } from "react";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import InputBox from "../components/input.component";
+import { UserContext } from "../App";
+import { passwordRegex, passwordRuleMessage } from "../common/regex";
+
+const ChangePassword = () => {
+
+    let { userAuth: { access_token } } = useContext(UserContext);
+
+    let changePasswordForm = useRef();
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        let form = new FormData(changePasswordForm.current);
+        let formData = {};
+
+        for(let [key, value] of form.entries()) {
+            formData[key] = value;
+        }
+
+        let { currentPassword, newPassword } = formData;
+
+        if(!currentPassword.length || !newPassword.length) {
+            return toast.error("Fill all the inputs");
+        }
+
+        if(!passwordRegex.test(newPassword)) {
+            return toast.error(passwordRuleMessage);
+        }
+
+        if(currentPassword === newPassword) {
+            return toast.error("New password must be different from the current password");
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        let loadingToast = toast.loading("Updating...");
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/change-password", formData, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(() => {
+            toast.dismiss(loadingToast);
+            e.target.removeAttribute("disabled");
+            changePasswordForm.current.reset();
+            toast.success("Password updated");
+        })
+        .catch(({ response }) => {
+            toast.dismiss(loadingToast);
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    return (
+        <AnimationWrapper>
+            <form ref={changePasswordForm}>
+                <h1 className="max-md:hidden">Change Password</h1>
+
+                <div className="py-10 w-full md:max-w-[400px]">
+                    <InputBox
+                        name="currentPassword"
+                        type="password"
+                        placeholder="Current Password"
+                        icon="fi-rr-unlock"
+                    />
+
+                    <InputBox
+                        name="newPassword"
+                        type="password"
+                        placeholder="New Password"
+                        icon="fi-rr-unlock"
+                    />
+
+                    <p className="text-dark-grey text-sm mb-6">{passwordRuleMessage}</p>
+
+                    <button className="btn-dark px-10" type="submit" onClick={handleSubmit}>
+                        Change Password
+                    </button>
+                </div>
+            </form>
+        </AnimationWrapper>
+    )
+}
+
+export default ChangePassword;
@@ -0,0 +1,222 @@
+import { useContext, useEffect, useRef, useState } from "react";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import Loader from "../components/loader.component";
+import InputBox from "../components/input.component";
+import { UserContext } from "../App";
+import { profileDataStructure } from "./profile.page";
+import { uploadImage } from "../common/aws";
+import { storeInSession } from "../common/session";
+import { usernameRegex } from "../common/regex";
+
+let bioLimit = 200;
+
+const EditProfile = () => {
+
+    let { userAuth, userAuth: { access_token, username: current_username }, setUserAuth } = useContext(UserContext);
+
+    let profileImgElement = useRef();
+    let editProfileForm = useRef();
+
+    const [profile, setProfile] = useState(profileDataStructure);
+    const [loading, setLoading] = useState(true);
+    const [charactersLeft, setCharactersLeft] = useState(bioLimit);
+    const [updatedProfileImg, setUpdatedProfileImg] = useState(null);
+
+    let { personal_info: { fullname, username: profile_username, profile_img, email, bio }, social_links } = profile;
+
+    useEffect(() => {
+        if(access_token) {
+            axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/get-profile", { username: current_username })
+            .then(({ data }) => {
+                setProfile(data);
+                setCharactersLeft(bioLimit - data.personal_info.bio.length);
+                setLoading(false);
+            })
+            .catch(err => {
+                console.log(err);
+            })
+        }
+    }, [current_username])
+
+    const handleCharacterChange = (e) => {
+        setCharactersLeft(bioLimit - e.target.value.length);
+    }
+
+    // show the selected image before it is uploaded
+    const handleImagePreview = (e) => {
+        let img = e.target.files[0];
+
+        if(img) {
+            profileImgElement.current.src = URL.createObjectURL(img);
+            setUpdatedProfileImg(img);
+        }
+    }
+
+    const handleImageUpload = (e) => {
+        e.preventDefault();
+
+        if(!updatedProfileImg) {
+            return;
+        }
+
+        let loadingToast = toast.loading("Uploading...");
+        e.target.setAttribute("disabled", true);
+
+        uploadImage(updatedProfileImg)
+        .then(url => {
+            if(!url) {
+                throw new Error("Failed to upload the image");
+            }
+
+            return axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/update-profile-img", { url }, {
+                headers: {
+                    'Authorization': `Bearer ${access_token}`
+                }
+            })
+        })
+        .then(({ data }) => {
+            let newUserAuth = { ...userAuth, profile_img: data.profile_img };
+
+            storeInSession("user", JSON.stringify(newUserAuth));
+            setUserAuth(newUserAuth);
+
+            setUpdatedProfileImg(null);
+            toast.dismiss(loadingToast);
+            e.target.removeAttribute("disabled");
+            toast.success("Uploaded 👍");
+        })
+        .catch(err => {
+            toast.dismiss(loadingToast);
+            e.target.removeAttribute("disabled");
+            toast.error(err.response ? err.response.data.error : err.message);
+        })
+    }
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        let form = new FormData(editProfileForm.current);
+        let formData = {};
+
+        for(let [key, value] of form.entries()) {
+            formData[key] = value;
+        }
+
+        let { username, bio, youtube, facebook, twitter, github, instagram, website } = formData;
+
+        // only a new username is checked, older usernames can have other characters
+        if(username !== profile_username && !usernameRegex.test(username)) {
+            return toast.error("Username must be 3 to 30 characters long and can contain only letters, numbers, dots and underscores");
+        }
+
+        if(bio.length > bioLimit) {
+            return toast.error(`Bio should not be more than ${bioLimit} characters`);
+        }
+
+        let loadingToast = toast.loading("Updating...");
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/update-profile", {
+            username,
+            bio,
+            social_links: { youtube, facebook, twitter, github, instagram, website }
+        }, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(({ data }) => {
+            if(data.username !== current_username) {
+                let newUserAuth = { ...userAuth, username: data.username };
+
+                storeInSession("user", JSON.stringify(newUserAuth));
+                setUserAuth(newUserAuth);
+            }
+
+            setProfile({ ...profile, personal_info: { ...profile.personal_info, username: data.username, bio: data.bio }, social_links: data.social_links });
+
+            toast.dismiss(loadingToast);
+            e.target.removeAttribute("disabled");
+            toast.success("Profile updated");
+        })
+        .catch(({ response }) => {
+            toast.dismiss(loadingToast);
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    return (
+        <AnimationWrapper>
+            {
+                loading ? <Loader /> :
+                <form ref={editProfileForm}>
+
+                    <h1 className="max-md:hidden">Edit Profile</h1>
+
+                    <div className="flex flex-col lg:flex-row items-start py-10 gap-8 lg:gap-10">
+
+                        <div className="max-lg:center mb-5">
+                            <label htmlFor="uploadImg" id="profileImgLabel" className="relative block w-48 h-48 bg-grey rounded-full overflow-hidden">
+                                <div className="w-full h-full absolute top-0 left-0 flex items-center justify-center text-white bg-black/30 opacity-0 hover:opacity-100 cursor-pointer">
+                                    Upload Image
+                                </div>
+                                <img ref={profileImgElement} src={profile_img} alt="Profile image" />
+                            </label>
+
+                            <input type="file" id="uploadImg" accept=".jpeg, .png, .jpg" hidden onChange={handleImagePreview} />
+
+                            <button className="btn-light mt-5 max-lg:center lg:w-full px-10" onClick={handleImageUpload}>Upload</button>
+                        </div>
+
+                        <div className="w-full">
+
+                            <div className="grid grid-cols-1 md:grid-cols-2 md:gap-5">
+                                <div>
+                                    <InputBox name="fullname" type="text" value={fullname} placeholder="Full Name" disable={true} icon="fi-rr-user" />
+                                </div>
+                                <div>
+                                    <InputBox name="email" type="email" value={email} placeholder="Email" disable={true} icon="fi-rr-envelope" />
+                                </div>
+                            </div>
+
+                            <InputBox type="text" name="username" value={profile_username} placeholder="Username" icon="fi-rr-at" />
+
+                            <p className="text-dark-grey -mt-3">Links to your old username will keep working and lead to your new one.</p>
+
+                            <textarea
+                                name="bio"
+                                maxLength={bioLimit}
+                                defaultValue={bio}
+                                className="input-box h-64 lg:h-40 resize-none leading-7 mt-5 pl-5"
+                                placeholder="Bio"
+                                onChange={handleCharacterChange}
+                            ></textarea>
+
+                            <p className="mt-1 text-dark-grey">{charactersLeft} characters left</p>
+
+                            <p className="my-6 text-dark-grey">Add your social handles below</p>
+
+                            <div className="md:grid md:grid-cols-2 gap-x-6">
+                                {
+                                    Object.keys(social_links).map((key, i) => {
+                                        let link = social_links[key];
+
+                                        return <InputBox key={i} name={key} type="text" value={link} placeholder="https://" icon={"fi " + (key !== "website" ? "fi-brands-" + key : "fi-rr-globe")} />
+                                    })
+                                }
+                            </div>
+
+                            <button className="btn-dark w-auto px-10" type="submit" onClick={handleSubmit}>Update</button>
+
+                        </div>
+                    </div>
+                </form>
+            }
+        </AnimationWrapper>
+    )
+}
+
+export default EditProfile;
@@ -16,6 +16,7 @@ const blogStructure = {
     content: [],
     tags: [],
     des: '', 
+    scheduledAt: null,
     author: { personal_info: { } }
 }
 
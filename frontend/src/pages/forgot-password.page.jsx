@@ -0,0 +1,83 @@
+import { useContext, useRef } from "react";
+import { Link, Navigate } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import InputBox from "../components/input.component";
+import { UserContext } from "../App";
+import { emailRegex } from "../common/regex";
+
+const ForgotPassword = () => {
+
+    let { userAuth: { access_token } } = useContext(UserContext);
+
+    let forgotPasswordForm = useRef();
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        let email = new FormData(forgotPasswordForm.current).get("email");
+
+        if(!emailRegex.test(email)) {
+            return toast.error("Invalid email");
+        }
+
+        // disable the button till the mail is sent
+        e.target.setAttribute("disabled", true);
+
+        let loadingToast = toast.loading("Sending...");
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/forgot-password", { email })
+        .then(({ data }) => {
+            toast.dismiss(loadingToast);
+            e.target.removeAttribute("disabled");
+            toast.success(data.status);
+        })
+        .catch(({ response }) => {
+            toast.dismiss(loadingToast);
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    return (
+        access_token ?
+        <Navigate to="/" />
+        :
+        <AnimationWrapper keyValue="forgot-password">
+            <section className="h-cover flex items-center justify-center">
+                <form ref={forgotPasswordForm} className="w-[80%] max-w-[400px]">
+                    <h1 className="text-4xl font-gelasio capitalize text-center mb-24">
+                        Forgot password
+                    </h1>
+
+                    <p className="text-dark-grey mb-6">Enter the email of your account and we will send you a link to reset your password.</p>
+
+                    <InputBox
+                        name="email"
+                        type="email"
+                        placeholder="Email"
+                        icon="fi-rr-envelope"
+                    />
+
+                    <button
+                        className="btn-dark center mt-14"
+                        type="submit"
+                        onClick={handleSubmit}
+                    >
+                        Send reset link
+                    </button>
+
+                    <p className="mt-6 text-dark-grey text-xl text-center">
+                        Remember your password ?
+                        <Link to="/signin" className="underline text-black text-xl ml-1">
+                            Sign in here
+                        </Link>
+                    </p>
+                </form>
+            </section>
+        </AnimationWrapper>
+    )
+}
+
+export default ForgotPassword;
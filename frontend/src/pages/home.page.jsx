@@ -1,7 +1,7 @@
 import axios from 'axios';
 import AnimationWrapper from "../common/page-animation";
 import InPageNavigation from "../components/inpage-navigation.component";
-import { useEffect, useState } from 'react';
+import { useContext, useEffect, useState } from 'react';
 import Loader from '../components/loader.component';
 import BlogPostCard from '../components/blog-post.component';
 import MinimalBlogPost from '../components/nobanner-blog-post.componenet';
@@ -9,23 +9,24 @@ import { activeTabRef } from '../components/inpage-navigation.component';
 import NoDataMessage from '../components/nodata.component';
 import { filterPaginationData } from '../common/filter-pagination-data';
 import LoadMoreDataBtn from '../components/load-more.component';
+import { UserContext } from '../App';
+import FollowTagButton from '../components/follow-tag-button.component';
 
 const HomePage = () => {
 
     let [blogs, setBlog] = useState(null);
     let [trendingBlogs, setTrendingBlog] = useState(null);
+    let [trendingWindow, setTrendingWindow] = useState("week");
     let [pageState, setPageState] = useState("home");
+    let [followingBlogs, setFollowingBlogs] = useState(null);
+    let [tagBlogs, setTagBlogs] = useState(null);
+    let [trendingTags, setTrendingTags] = useState([]);
+    let [followedTags, setFollowedTags] = useState([]);
 
-    let categories = [
-        "programming",
-        "hollywood", 
-        "film making", 
-        "social media", 
-        "cooking", 
-        "tech", 
-        "finance", 
-        "travel"
-    ];
+    let { userAuth: { access_token, username } } = useContext(UserContext);
+
+    // followed tags first, then the trending ones
+    let categories = [...new Set([...followedTags, ...trendingTags])];
 
     const fetchLatestBlogs = ({page = 1}) => {
         axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/latest-blogs", {page})
@@ -65,8 +66,86 @@ const HomePage = () => {
             })
     }
 
+    const fetchFollowingBlogs = ({page = 1}) => {
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/following-blogs", {page}, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+            .then(async ({ data }) => {
+                let formatedData = await filterPaginationData({
+                    state: followingBlogs,
+                    data: data.blogs,
+                    page,
+                    countRoute: "/following-blogs-count",
+                    user: access_token
+                });
+
+                setFollowingBlogs(formatedData);
+            })
+            .catch(err => {
+                console.log(err);
+            })
+    }
+
+    const fetchTagBlogs = ({page = 1}) => {
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/followed-tags-blogs", {page}, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+            .then(async ({ data }) => {
+                let formatedData = await filterPaginationData({
+                    state: tagBlogs,
+                    data: data.blogs,
+                    page,
+                    countRoute: "/followed-tags-blogs-count",
+                    user: access_token
+                });
+
+                setTagBlogs(formatedData);
+            })
+            .catch(err => {
+                console.log(err);
+            })
+    }
+
+    const fetchFollowedTags = () => {
+        axios.get(import.meta.env.VITE_SERVER_DOMAIN + "/followed-tags", {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+            .then(({ data }) => {
+                setFollowedTags(data.followed_tags);
+            })
+            .catch(err => {
+                console.log(err);
+            })
+    }
+
+    // tags trending this week, the most used tags of all time when nothing was published lately
+    const fetchTrendingTags = () => {
+        axios.get(import.meta.env.VITE_SERVER_DOMAIN + "/trending-tags")
+            .then(({ data }) => {
+                return data.tags.length ? data : axios.get(import.meta.env.VITE_SERVER_DOMAIN + "/popular-tags").then(({ data }) => data);
+            })
+            .then(({ tags }) => {
+                setTrendingTags(tags.map(({ tag }) => tag));
+            })
+            .catch(err => {
+                console.log(err);
+            })
+    }
+
+    // the tag feed changes with every tag followed or unfollowed
+    const handleFollowedTagsChange = (tags) => {
+        setFollowedTags(tags);
+        setTagBlogs(null);
+    }
+
     const fetchTrendingBlogs = () => {
-        axios.get(import.meta.env.VITE_SERVER_DOMAIN + "/trending-blogs")
+        axios.get(import.meta.env.VITE_SERVER_DOMAIN + "/trending-blogs", { params: { window: trendingWindow } })
             .then(({ data }) => {
                 setTrendingBlog(data.blogs);
             })
@@ -99,18 +178,58 @@ const HomePage = () => {
             fetchLatestBlogs({page: 1});
         else 
             fetchBlogsByCategory({page: 1});
-
-        if(!trendingBlogs)
-            fetchTrendingBlogs();
     }, [pageState])
 
+    useEffect(() => {
+        setTrendingBlog(null);
+        fetchTrendingBlogs();
+    }, [trendingWindow])
+
+    // keyed on the signed in user, the access token changes with every silent refresh
+    useEffect(() => {
+        setFollowingBlogs(null);
+        setTagBlogs(null);
+        setFollowedTags([]);
+
+        if(access_token) {
+            fetchFollowingBlogs({page: 1});
+            fetchFollowedTags();
+        }
+    }, [username])
+
+    useEffect(() => {
+        fetchTrendingTags();
+    }, [])
+
+    useEffect(() => {
+        if(access_token && tagBlogs === null)
+            fetchTagBlogs({page: 1});
+    }, [username, tagBlogs])
+
+    // trending blogs of the last day, week or month
+    const trendingWindowButtons = (
+        <div className='flex gap-2 mb-6'>
+            {
+                ["day", "week", "month"].map(window => {
+                    return <button onClick={() => setTrendingWindow(window)} className={'tag py-1 px-4 capitalize ' + (trendingWindow === window ? "bg-black text-white" : "")} key={window}>{window}</button>
+                })
+            }
+        </div>
+    )
+
     return (
         <AnimationWrapper>
             <section className="h-cover flex justify-center gap-10">
                 {/* latest blogs */}
                 <div className="w-full">
-                    <InPageNavigation routes={[pageState, "trending blogs"]} defaultHidden={["trending blogs"]}>
+                    {/* following is the last tab so the children keep their place when signed out */}
+                    <InPageNavigation routes={[pageState, "trending blogs", ...(access_token ? ["following", "your tags"] : [])]} defaultHidden={["trending blogs"]}>
                         <>
+                            {
+                                pageState !== "home" ?
+                                <FollowTagButton tag={pageState} followedTags={followedTags} setFollowedTags={handleFollowedTagsChange} className="mb-8" />
+                                : ""
+                            }
                             {
                                 blogs == null ?
                                     <Loader /> :
@@ -128,19 +247,64 @@ const HomePage = () => {
                             }
                             <LoadMoreDataBtn state={blogs} fetchDataFun={(pageState === "home" ? fetchLatestBlogs : fetchBlogsByCategory)}/>
                         </>
+                        <>
+                            {trendingWindowButtons}
+                            {
+                                trendingBlogs === null ?
+                                    <Loader /> :
+                                    (
+                                        trendingBlogs.length ?    
+                                            trendingBlogs.map((blog, i) => {
+                                                return <AnimationWrapper transition={{ duration: 1, delay: i * 0.1 }} key={i}>
+                                                    <MinimalBlogPost blog={blog} index={i} />
+                                                </AnimationWrapper>
+                                            })
+                                            :
+                                            <NoDataMessage message="No trending blogs"/>
+                                    )
+                            }
+                        </>
                         {
-                            trendingBlogs === null ?
-                                <Loader /> :
-                                (
-                                    trendingBlogs.length ?    
-                                        trendingBlogs.map((blog, i) => {
-                                            return <AnimationWrapper transition={{ duration: 1, delay: i * 0.1 }} key={i}>
-                                                <MinimalBlogPost blog={blog} index={i} />
-                                            </AnimationWrapper>
-                                        })
-                                        :
-                                        <NoDataMessage message="No trending blogs"/>
-                                )
+                            access_token ?
+                            <>
+                                {
+                                    followingBlogs == null ?
+                                        <Loader /> :
+                                        (
+                                            followingBlogs.results.length ?
+                                                followingBlogs.results.map((blog, i) => {
+                                                    return <AnimationWrapper transition={{ duration: 1, delay: i * 0.1 }} key={i}>
+                                                        <BlogPostCard content={blog} author={blog.author.personal_info} />
+                                                    </AnimationWrapper>
+                                                })
+                                                :
+                                                <NoDataMessage message="Follow authors to see their blogs here"/>
+                                        )
+                                }
+                                <LoadMoreDataBtn state={followingBlogs} fetchDataFun={fetchFollowingBlogs}/>
+                            </>
+                            : ""
+                        }
+                        {
+                            access_token ?
+                            <>
+                                {
+                                    tagBlogs == null ?
+                                        <Loader /> :
+                                        (
+                                            tagBlogs.results.length ?
+                                                tagBlogs.results.map((blog, i) => {
+                                                    return <AnimationWrapper transition={{ duration: 1, delay: i * 0.1 }} key={i}>
+                                                        <BlogPostCard content={blog} author={blog.author.personal_info} />
+                                                    </AnimationWrapper>
+                                                })
+                                                :
+                                                <NoDataMessage message="Follow tags to see their blogs here"/>
+                                        )
+                                }
+                                <LoadMoreDataBtn state={tagBlogs} fetchDataFun={fetchTagBlogs}/>
+                            </>
+                            : ""
                         }
                     </InPageNavigation>
                 </div>
@@ -154,9 +318,11 @@ const HomePage = () => {
 
                             <div className='flex gap-3 flex-wrap'>
                                 {
+                                    categories.length ?
                                     categories.map((category, i) => {
-                                        return <button onClick={loadBlogByCategory} className={'tag ' + (pageState === category ? "bg-black text-white" : " ")} key={i}>{category}</button>
+                                        return <button onClick={loadBlogByCategory} className={'tag ' + (pageState === category ? "bg-black text-white" : followedTags.includes(category) ? "border border-black" : " ")} key={i}>{category}</button>
                                     })
+                                    : <p className='text-dark-grey'>No tags yet</p>
                                 }
                             </div>
                         </div>
@@ -164,7 +330,9 @@ const HomePage = () => {
 
                         <div>
 
-                            <h1 className='font-medium text-xl mb-8'>Trending <i className='fi fi-rr-arrow-trend-up'></i></h1>
+                            <h1 className='font-medium text-xl mb-4'>Trending <i className='fi fi-rr-arrow-trend-up'></i></h1>
+
+                            {trendingWindowButtons}
 
                             {
                                 trendingBlogs === null ?
@@ -0,0 +1,140 @@
+import { useContext, useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import InPageNavigation from "../components/inpage-navigation.component";
+import Loader from "../components/loader.component";
+import NoDataMessage from "../components/nodata.component";
+import LoadMoreDataBtn from "../components/load-more.component";
+import AuthorBlogCard from "../components/author-blog-card.component";
+import { UserContext } from "../App";
+import { filterPaginationData } from "../common/filter-pagination-data";
+
+// Dashboard of the signed in author with their published blogs and drafts
+const ManageBlogs = () => {
+
+    let { userAuth: { access_token, username } } = useContext(UserContext);
+
+    // the editor sends the author to ?tab=draft after saving a draft
+    let activeTab = useSearchParams()[0].get("tab");
+
+    const [blogs, setBlogs] = useState(null);
+    const [drafts, setDrafts] = useState(null);
+    const [query, setQuery] = useState("");
+
+    const getBlogs = ({ page = 1, draft = false, create_new_arr = false }) => {
+        let [state, setState] = draft ? [drafts, setDrafts] : [blogs, setBlogs];
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/user-written-blogs", { page, draft, query }, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(async ({ data }) => {
+            let formatedData = await filterPaginationData({
+                state,
+                data: data.blogs,
+                page,
+                countRoute: "/user-written-blogs-count",
+                data_to_send: { draft, query },
+                user: access_token,
+                create_new_arr
+            });
+
+            setState(formatedData);
+        })
+        .catch(err => {
+            console.log(err);
+        })
+    }
+
+    useEffect(() => {
+        if(access_token) {
+            setBlogs(null);
+            setDrafts(null);
+            getBlogs({ page: 1, draft: false, create_new_arr: true });
+            getBlogs({ page: 1, draft: true, create_new_arr: true });
+        }
+    }, [username, query])
+
+    const handleSearch = (e) => {
+        if(e.keyCode === 13) {
+            setQuery(e.target.value.trim());
+        }
+    }
+
+    const handleChange = (e) => {
+        // clearing the search shows all blogs again
+        if(!e.target.value.length && query.length) {
+            setQuery("");
+        }
+    }
+
+    const removeBlog = (state, setState, index) => {
+        let results = state.results.filter((_, i) => i !== index);
+        setState({ ...state, results, totalDocs: state.totalDocs - 1 });
+    }
+
+    const handleUnpublish = (index) => {
+        removeBlog(blogs, setBlogs, index);
+
+        // the blog is now one of the drafts
+        setDrafts(null);
+        getBlogs({ page: 1, draft: true, create_new_arr: true });
+    }
+
+    // the scheduled draft stays a draft
+    const handleCancelSchedule = (index) => {
+        let results = [...drafts.results];
+        results[index] = { ...results[index], scheduledAt: null };
+        setDrafts({ ...drafts, results });
+    }
+
+    const renderList = (state, draft) => {
+        return (
+            state === null ? <Loader /> :
+            <>
+                {
+                    state.results.length ?
+                    state.results.map((blog, i) => {
+                        return <AnimationWrapper key={blog.blog_id} transition={{ delay: i * 0.04 }}>
+                            <AuthorBlogCard
+                                blog={blog}
+                                onUnpublish={() => handleUnpublish(i)}
+                                onCancelSchedule={() => handleCancelSchedule(i)}
+                                onRemove={() => draft ? removeBlog(drafts, setDrafts, i) : removeBlog(blogs, setBlogs, i)}
+                            />
+                        </AnimationWrapper>
+                    })
+                    :
+                    <NoDataMessage message={draft ? "No draft blogs" : "No published blogs"} />
+                }
+                <LoadMoreDataBtn state={state} fetchDataFun={({ page }) => getBlogs({ page, draft })} />
+            </>
+        )
+    }
+
+    return (
+        <>
+            <h1 className="max-md:hidden text-xl mb-8">Manage Blogs</h1>
+
+            <div className="relative max-md:mt-5 md:mt-8 mb-10">
+                <input
+                    type="search"
+                    placeholder="Search your blogs"
+                    className="w-full bg-grey p-4 pl-12 pr-6 rounded-full placeholder:text-dark-grey"
+                    onKeyDown={handleSearch}
+                    onChange={handleChange}
+                />
+                <i className="fi fi-rr-search absolute right-[10%] md:pointer-events-none md:left-5 top-1/2 -translate-y-1/2 text-xl text-dark-grey"></i>
+            </div>
+
+            <InPageNavigation routes={["Published Blogs", "Drafts"]} defaultActiveIndex={activeTab === "draft" ? 1 : 0}>
+                {renderList(blogs, false)}
+                {renderList(drafts, true)}
+            </InPageNavigation>
+        </>
+    )
+}
+
+export default ManageBlogs;
@@ -0,0 +1,97 @@
+import { useContext, useEffect, useState } from "react";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import Loader from "../components/loader.component";
+import NoDataMessage from "../components/nodata.component";
+import LoadMoreDataBtn from "../components/load-more.component";
+import NotificationCard from "../components/notification-card.component";
+import { UserContext } from "../App";
+import { filterPaginationData } from "../common/filter-pagination-data";
+
+const filters = ["all", "like", "comment", "reply", "follow"];
+
+// Inbox of the signed in user, the server marks every fetched notification as seen
+const Notifications = () => {
+
+    let { userAuth: { access_token, username }, setUserAuth } = useContext(UserContext);
+
+    const [filter, setFilter] = useState("all");
+    const [notifications, setNotifications] = useState(null);
+
+    const fetchNotifications = ({ page = 1, create_new_arr = false }) => {
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/notifications", { page, filter }, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(async ({ data }) => {
+            let formatedData = await filterPaginationData({
+                state: notifications,
+                data: data.notifications,
+                page,
+                countRoute: "/notifications-count",
+                data_to_send: { filter },
+                user: access_token,
+                create_new_arr
+            });
+
+            setNotifications(formatedData);
+
+            // the unseen ones are seen now, so they come off the bell count
+            let seenNow = data.notifications.filter(({ seen }) => !seen).length;
+
+            if(seenNow) {
+                setUserAuth(userAuth => ({ ...userAuth, new_notification_count: Math.max((userAuth.new_notification_count || 0) - seenNow, 0) }));
+            }
+        })
+        .catch(err => {
+            console.log(err);
+        })
+    }
+
+    useEffect(() => {
+        if(access_token) {
+            setNotifications(null);
+            fetchNotifications({ page: 1, create_new_arr: true });
+        }
+    }, [username, filter])
+
+    return (
+        <div>
+            <h1 className="max-md:hidden text-xl mb-8">Recent Notifications</h1>
+
+            <div className="my-8 flex gap-6">
+                {
+                    filters.map((filterName) => {
+                        return <button
+                            key={filterName}
+                            className={"py-2 capitalize " + (filter === filterName ? "btn-dark" : "btn-light")}
+                            onClick={() => setFilter(filterName)}
+                        >
+                            {filterName}
+                        </button>
+                    })
+                }
+            </div>
+
+            {
+                notifications === null ? <Loader /> :
+                <>
+                    {
+                        notifications.results.length ?
+                        notifications.results.map((notification, i) => {
+                            return <AnimationWrapper key={notification._id} transition={{ delay: i * 0.08 }}>
+                                <NotificationCard notification={notification} />
+                            </AnimationWrapper>
+                        })
+                        :
+                        <NoDataMessage message="Nothing available" />
+                    }
+                    <LoadMoreDataBtn state={notifications} fetchDataFun={fetchNotifications} />
+                </>
+            }
+        </div>
+    )
+}
+
+export default Notifications;
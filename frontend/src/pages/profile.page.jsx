@@ -1,6 +1,6 @@
 import axios from "axios";
 import { useContext, useEffect, useState } from "react";
-import { useParams, Link } from "react-router-dom";
+import { useParams, Link, useNavigate } from "react-router-dom";
 import AnimationWrapper from "../common/page-animation";
 import Loader from "../components/loader.component";
 import { UserContext } from "../App";
@@ -11,6 +11,8 @@ import NoDataMessage from "../components/nodata.component";
 import InPageNavigation from "../components/inpage-navigation.component";
 import BlogPostCard from "../components/blog-post.component";
 import PageNotFound from "./404page";
+import ReportModal from "../components/report-modal.component";
+import FollowButton from "../components/follow-button.component";
 
 export const profileDataStructure = {
     personal_info: {
@@ -22,6 +24,8 @@ export const profileDataStructure = {
     account_info: {
         total_posts: 0,
         total_reads: 0,
+        total_followers: 0,
+        total_following: 0,
     },
     social_links: {},
     joinedAt: ""
@@ -40,13 +44,23 @@ const ProfilePage = () => {
     // just for loading correct profile blogs
     let [profileLoaded, setProfileLoaded] = useState("");
 
-    let { personal_info: { fullname, username: profile_username, profile_img, bio }, account_info: { total_posts, total_reads }, social_links, joinedAt } = profile;
+    let { personal_info: { fullname, username: profile_username, profile_img, bio }, account_info: { total_posts, total_reads, total_followers, total_following }, social_links, joinedAt } = profile;
 
-    let { userAuth: { username } } = useContext(UserContext);
+    let { userAuth: { username, access_token } } = useContext(UserContext);
+
+    let [reporting, setReporting] = useState(false);
+
+    let navigate = useNavigate();
 
     const fetchUserProfile = () => {
         axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/get-profile", { username: profileId })
             .then(({ data: user }) => {
+
+                // old username of the user, move to the current profile url
+                if(user !== null && user.personal_info.username !== profileId) {
+                    return navigate(`/user/${user.personal_info.username}`, { replace: true });
+                }
+
                 if(user !== null) {
                     setProfile(user);
                 }
@@ -116,6 +130,7 @@ const ProfilePage = () => {
                                 <p className="text-xl capitalize h-6">{fullname}</p>
 
                                 <p>{total_posts.toLocaleString()} Blogs - {total_reads.toLocaleString()} - Reads</p>
+                                <p>{total_followers.toLocaleString()} Followers - {total_following.toLocaleString()} Following</p>
 
                                 <div className="flex gap-4 mt-2">
                                     {
@@ -124,12 +139,31 @@ const ProfilePage = () => {
                                                 Edit Profile
                                             </Link>
                                             :
+                                            access_token ?
+                                            <>
+                                            <FollowButton
+                                                username={profile_username}
+                                                className="rounded-md"
+                                                onChange={(total_followers) => setProfile({ ...profile, account_info: { ...profile.account_info, total_followers } })}
+                                            />
+                                            <button className="btn-light rounded-md flex items-center gap-2" onClick={() => setReporting(true)}>
+                                                <i className="fi fi-rr-flag"></i>
+                                                Report
+                                            </button>
+                                            </>
+                                            :
                                             ""
 
                                     }
 
                                 </div>
 
+                                {
+                                    reporting ?
+                                    <ReportModal target_type="user" target={profile._id} onClose={() => setReporting(false)} />
+                                    : ""
+                                }
+
                                 <AboutUser className="max-md:hidden" bio={bio} social_links={social_links} joinedAt={joinedAt} />
                             </div>
 
@@ -0,0 +1,110 @@
+import { useContext, useEffect, useState } from "react";
+import { Link, Navigate } from "react-router-dom";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import Loader from "../components/loader.component";
+import NoDataMessage from "../components/nodata.component";
+import LoadMoreDataBtn from "../components/load-more.component";
+import ReportCard from "../components/report-card.component";
+import { UserContext } from "../App";
+import { filterPaginationData } from "../common/filter-pagination-data";
+
+const statuses = ["open", "actioned", "dismissed"];
+
+// Moderation queue, the reports are grouped per reported blog, comment or user
+const ReportsQueue = () => {
+
+    let { userAuth: { access_token, username, role } } = useContext(UserContext);
+
+    let isStaff = role === "moderator" || role === "admin";
+
+    const [status, setStatus] = useState("open");
+    const [reports, setReports] = useState(null);
+
+    const getReports = ({ page = 1, create_new_arr = false }) => {
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/admin/reports", { page, status }, {
+            headers: {
+                'Authorization': `Bearer ${access_token}`
+            }
+        })
+        .then(async ({ data }) => {
+            let formatedData = await filterPaginationData({
+                state: reports,
+                data: data.reports,
+                page,
+                countRoute: "/admin/reports-count",
+                data_to_send: { status },
+                user: access_token,
+                create_new_arr
+            });
+
+            setReports(formatedData);
+        })
+        .catch(err => {
+            console.log(err);
+        })
+    }
+
+    useEffect(() => {
+        if(access_token && isStaff) {
+            setReports(null);
+            getReports({ page: 1, create_new_arr: true });
+        }
+    }, [username, status])
+
+    // a resolved group leaves the open queue
+    const removeReport = (index) => {
+        let results = reports.results.filter((_, i) => i !== index);
+        setReports({ ...reports, results, totalDocs: reports.totalDocs - 1 });
+    }
+
+    return (
+        access_token === null ?
+        <Navigate to="/signin" />
+        :
+        !isStaff ?
+        <Navigate to="/" />
+        :
+        <AnimationWrapper>
+            <section className="h-cover">
+                <div className="flex justify-between items-center mb-8">
+                    <h1 className="text-2xl font-medium">Moderation Queue</h1>
+                    <Link to="/admin" className="underline text-dark-grey">Admin Dashboard</Link>
+                </div>
+
+                <div className="mb-8 flex gap-4">
+                    {
+                        statuses.map(statusName => {
+                            return <button
+                                key={statusName}
+                                className={"py-2 capitalize " + (status === statusName ? "btn-dark" : "btn-light")}
+                                onClick={() => setStatus(statusName)}
+                            >
+                                {statusName}
+                            </button>
+                        })
+                    }
+                </div>
+
+                {
+                    reports === null ? <Loader /> :
+                    <>
+                        {
+                            reports.results.length ?
+                            reports.results.map((report, i) => {
+                                return <AnimationWrapper key={report._id} transition={{ duration: 1, delay: i * 0.04 }}>
+                                    <ReportCard report={report} onResolve={() => removeReport(i)} />
+                                </AnimationWrapper>
+                            })
+                            :
+                            <NoDataMessage message={status === "open" ? "No open reports" : "No reports"} />
+                        }
+                        <LoadMoreDataBtn state={reports} fetchDataFun={getReports} />
+                    </>
+                }
+            </section>
+        </AnimationWrapper>
+    )
+}
+
+export default ReportsQueue;
@@ -0,0 +1,100 @@
+import { useContext, useRef } from "react";
+import { Link, Navigate, useNavigate, useParams } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import InputBox from "../components/input.component";
+import { UserContext } from "../App";
+import { passwordRegex, passwordRuleMessage } from "../common/regex";
+
+const ResetPassword = () => {
+
+    let { token } = useParams();
+
+    let { userAuth: { access_token } } = useContext(UserContext);
+
+    let resetPasswordForm = useRef();
+
+    let navigate = useNavigate();
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        let form = new FormData(resetPasswordForm.current);
+        let password = form.get("password");
+        let confirmPassword = form.get("confirmPassword");
+
+        if(!passwordRegex.test(password)) {
+            return toast.error(passwordRuleMessage);
+        }
+
+        if(password !== confirmPassword) {
+            return toast.error("Passwords do not match");
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        let loadingToast = toast.loading("Updating...");
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/reset-password", { token, password })
+        .then(() => {
+            toast.dismiss(loadingToast);
+            toast.success("Password updated, sign in with your new password");
+
+            setTimeout(() => {
+                navigate("/signin");
+            }, 500);
+        })
+        .catch(({ response }) => {
+            toast.dismiss(loadingToast);
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    return (
+        access_token ?
+        <Navigate to="/" />
+        :
+        <AnimationWrapper keyValue="reset-password">
+            <section className="h-cover flex items-center justify-center">
+                <form ref={resetPasswordForm} className="w-[80%] max-w-[400px]">
+                    <h1 className="text-4xl font-gelasio capitalize text-center mb-24">
+                        Reset password
+                    </h1>
+
+                    <InputBox
+                        name="password"
+                        type="password"
+                        placeholder="New Password"
+                        icon="fi-rr-key"
+                    />
+
+                    <InputBox
+                        name="confirmPassword"
+                        type="password"
+                        placeholder="Confirm New Password"
+                        icon="fi-rr-key"
+                    />
+
+                    <button
+                        className="btn-dark center mt-14"
+                        type="submit"
+                        onClick={handleSubmit}
+                    >
+                        Reset password
+                    </button>
+
+                    <p className="mt-6 text-dark-grey text-xl text-center">
+                        Link expired ?
+                        <Link to="/forgot-password" className="underline text-black text-xl ml-1">
+                            Get a new one
+                        </Link>
+                    </p>
+                </form>
+            </section>
+        </AnimationWrapper>
+    )
+}
+
+export default ResetPassword;
@@ -0,0 +1,135 @@
+import { useContext, useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import Loader from "../components/loader.component";
+import NoDataMessage from "../components/nodata.component";
+import { UserContext } from "../App";
+import { getFullDay } from "../common/date";
+import { removeFromSession } from "../common/session";
+
+// "Chrome on Windows" from the user agent saved with the session
+const describeDevice = (userAgent) => {
+    let browsers = [["Edg", "Edge"], ["OPR", "Opera"], ["Firefox", "Firefox"], ["Chrome", "Chrome"], ["Safari", "Safari"]];
+    let systems = [["Windows", "Windows"], ["Android", "Android"], ["iPhone", "iPhone"], ["iPad", "iPad"], ["Mac OS", "macOS"], ["Linux", "Linux"]];
+
+    let browser = browsers.find(([key]) => userAgent.includes(key));
+    let system = systems.find(([key]) => userAgent.includes(key));
+
+    if(!browser && !system) {
+        return userAgent;
+    }
+
+    return `${browser ? browser[1] : "Unknown browser"} on ${system ? system[1] : "unknown system"}`;
+}
+
+const Sessions = () => {
+
+    let { userAuth: { access_token, username }, setUserAuth } = useContext(UserContext);
+
+    const [sessions, setSessions] = useState(null);
+
+    const authHeaders = {
+        headers: {
+            'Authorization': `Bearer ${access_token}`
+        }
+    }
+
+    useEffect(() => {
+        if(access_token) {
+            axios.get(import.meta.env.VITE_SERVER_DOMAIN + "/sessions", {
+                headers: {
+                    'Authorization': `Bearer ${access_token}`
+                }
+            })
+            .then(({ data }) => {
+                setSessions(data.sessions);
+            })
+            .catch(err => {
+                console.log(err);
+            })
+        }
+    }, [username])
+
+    const signOutLocally = () => {
+        removeFromSession("user");
+        setUserAuth({ access_token: null });
+    }
+
+    const revokeSession = (e, session) => {
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/revoke-session", { session_id: session._id }, authHeaders)
+        .then(() => {
+            if(session.current) {
+                return signOutLocally();
+            }
+
+            setSessions(sessions.filter(({ _id }) => _id !== session._id));
+            toast.success("Signed out of the device");
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    const revokeAllSessions = (e) => {
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/revoke-all-sessions", {}, authHeaders)
+        .then(() => {
+            signOutLocally();
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    return (
+        <AnimationWrapper>
+            <h1 className="max-md:hidden">Active Sessions</h1>
+
+            <div className="py-10 w-full">
+                <p className="text-dark-grey mb-8">These are the devices signed in to your account. Sign out of any device you don&apos;t recognise.</p>
+
+                {
+                    sessions === null ? <Loader /> :
+                    !sessions.length ? <NoDataMessage message="No active sessions" /> :
+                    <>
+                        {
+                            sessions.map((session, i) => {
+                                let { device, ip, createdAt, lastUsedAt, current } = session;
+
+                                return <AnimationWrapper key={session._id} transition={{ duration: 1, delay: i * 0.08 }}>
+                                    <div className="flex items-center gap-5 border-b border-grey pb-5 mb-5">
+                                        <i className="fi fi-rr-computer text-2xl"></i>
+
+                                        <div className="w-full">
+                                            <p className="font-medium text-xl">
+                                                {describeDevice(device)}
+                                                {current ? <span className="ml-3 text-purple text-base">This device</span> : ""}
+                                            </p>
+                                            <p className="text-dark-grey">{ip ? ip + " - " : ""}Signed in on {getFullDay(createdAt)} - Last active on {getFullDay(lastUsedAt)}</p>
+                                        </div>
+
+                                        <button className="btn-light py-2 disabled:opacity-50" onClick={(e) => revokeSession(e, session)}>
+                                            Sign out
+                                        </button>
+                                    </div>
+                                </AnimationWrapper>
+                            })
+                        }
+
+                        <button className="btn-dark mt-5 disabled:opacity-50" onClick={revokeAllSessions}>
+                            Sign out of all devices
+                        </button>
+                    </>
+                }
+            </div>
+        </AnimationWrapper>
+    )
+}
+
+export default Sessions;
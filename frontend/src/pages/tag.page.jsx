@@ -0,0 +1,156 @@
+import { useContext, useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import InPageNavigation from "../components/inpage-navigation.component";
+import Loader from "../components/loader.component";
+import NoDataMessage from "../components/nodata.component";
+import LoadMoreDataBtn from "../components/load-more.component";
+import BlogPostCard from "../components/blog-post.component";
+import MinimalBlogPost from "../components/nobanner-blog-post.componenet";
+import FollowTagButton from "../components/follow-tag-button.component";
+import { UserContext } from "../App";
+import { filterPaginationData } from "../common/filter-pagination-data";
+
+// Page of one tag with its stats, top authors, most read posts and latest posts
+const TagPage = () => {
+
+    let { tag } = useParams();
+    tag = tag.toLowerCase();
+
+    let { userAuth: { access_token, username: signedInUsername } } = useContext(UserContext);
+
+    const [stats, setStats] = useState(null);
+    const [blogs, setBlogs] = useState(null);
+    const [followedTags, setFollowedTags] = useState([]);
+
+    const fetchStats = () => {
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/tag-stats", { tag })
+        .then(({ data }) => {
+            setStats(data);
+        })
+        .catch(err => {
+            console.log(err);
+        })
+    }
+
+    const fetchLatestBlogs = ({ page = 1, create_new_arr = false }) => {
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/search-blogs", { tag, page, limit: 5 })
+        .then(async ({ data }) => {
+            let formatedData = await filterPaginationData({
+                state: blogs,
+                data: data.blogs,
+                page,
+                countRoute: "/search-blogs-count",
+                data_to_send: { tag },
+                create_new_arr
+            });
+
+            setBlogs(formatedData);
+        })
+        .catch(err => {
+            console.log(err);
+        })
+    }
+
+    useEffect(() => {
+        setStats(null);
+        setBlogs(null);
+        fetchStats();
+        fetchLatestBlogs({ page: 1, create_new_arr: true });
+    }, [tag])
+
+    useEffect(() => {
+        if(access_token) {
+            axios.get(import.meta.env.VITE_SERVER_DOMAIN + "/followed-tags", {
+                headers: {
+                    'Authorization': `Bearer ${access_token}`
+                }
+            })
+            .then(({ data }) => {
+                setFollowedTags(data.followed_tags);
+            })
+            .catch(err => {
+                console.log(err);
+            })
+        }
+    }, [signedInUsername])
+
+    const mostRead = () => {
+        return (
+            stats === null ? <Loader /> :
+            stats.most_read.length ?
+            stats.most_read.map((blog, i) => {
+                return <AnimationWrapper key={blog.blog_id} transition={{ duration: 1, delay: i * 0.1 }}>
+                    <MinimalBlogPost blog={blog} index={i} />
+                </AnimationWrapper>
+            })
+            : <NoDataMessage message="No blogs with this tag" />
+        )
+    }
+
+    const topAuthors = () => {
+        return (
+            stats === null ? <Loader /> :
+            stats.top_authors.length ?
+            stats.top_authors.map(({ personal_info: { fullname, username, profile_img }, total_posts, total_reads }) => {
+                return <Link key={username} to={`/user/${username}`} className="flex gap-5 items-center mb-5">
+                    <img src={profile_img} alt="Profile image" className="w-12 h-12 rounded-full" />
+                    <div>
+                        <h1 className="font-medium text-xl line-clamp-1">{fullname}</h1>
+                        <p className="text-dark-grey">@{username} - {total_posts} {total_posts === 1 ? "Blog" : "Blogs"} - {total_reads.toLocaleString()} Reads</p>
+                    </div>
+                </Link>
+            })
+            : <NoDataMessage message="No authors yet" />
+        )
+    }
+
+    return (
+        <AnimationWrapper>
+            <section className="h-cover flex justify-center gap-10">
+                <div className="w-full">
+                    <div className="flex max-sm:flex-col sm:items-center justify-between gap-5 mb-8">
+                        <div>
+                            <h1 className="text-4xl font-medium capitalize">#{tag}</h1>
+                            {
+                                stats ?
+                                <p className="text-dark-grey mt-2">{stats.total_posts.toLocaleString()} Blogs - {stats.total_reads.toLocaleString()} Reads - {stats.total_likes.toLocaleString()} Likes</p>
+                                : ""
+                            }
+                        </div>
+                        <FollowTagButton tag={tag} followedTags={followedTags} setFollowedTags={setFollowedTags} />
+                    </div>
+
+                    <InPageNavigation routes={["latest", "most read", "top authors"]} defaultHidden={["most read", "top authors"]}>
+                        <>
+                            {
+                                blogs === null ? <Loader /> :
+                                blogs.results.length ?
+                                blogs.results.map((blog, i) => {
+                                    return <AnimationWrapper key={blog.blog_id} transition={{ duration: 1, delay: i * 0.1 }}>
+                                        <BlogPostCard content={blog} author={blog.author.personal_info} />
+                                    </AnimationWrapper>
+                                })
+                                : <NoDataMessage message="No blogs with this tag" />
+                            }
+                            <LoadMoreDataBtn state={blogs} fetchDataFun={fetchLatestBlogs} />
+                        </>
+                        {mostRead()}
+                        {topAuthors()}
+                    </InPageNavigation>
+                </div>
+
+                <div className="min-w-[40%] lg:min-w-[400px] max-w-min border-l border-grey pl-8 pt-3 max-md:hidden">
+                    <h1 className="font-medium text-xl mb-8">Most read <i className="fi fi-rr-arrow-trend-up"></i></h1>
+                    {mostRead()}
+
+                    <h1 className="font-medium text-xl mb-8 mt-10">Top authors</h1>
+                    {topAuthors()}
+                </div>
+            </section>
+        </AnimationWrapper>
+    )
+}
+
+export default TagPage;
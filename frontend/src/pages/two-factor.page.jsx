@@ -0,0 +1,173 @@
+import { useContext, useEffect, useState } from "react";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import Loader from "../components/loader.component";
+import { UserContext } from "../App";
+
+const TwoFactorSettings = () => {
+
+    let { userAuth: { access_token, username } } = useContext(UserContext);
+
+    const [status, setStatus] = useState(null);
+    const [setup, setSetup] = useState(null); // QR code and secret while enabling
+    const [backupCodes, setBackupCodes] = useState(null); // shown only once after they are created
+    const [code, setCode] = useState("");
+
+    const authHeaders = {
+        headers: {
+            'Authorization': `Bearer ${access_token}`
+        }
+    }
+
+    useEffect(() => {
+        if(access_token) {
+            axios.get(import.meta.env.VITE_SERVER_DOMAIN + "/2fa/status", {
+                headers: {
+                    'Authorization': `Bearer ${access_token}`
+                }
+            })
+            .then(({ data }) => {
+                setStatus(data);
+            })
+            .catch(err => {
+                console.log(err);
+            })
+        }
+    }, [username])
+
+    // sends the code to one of the /2fa routes and disables the button till the response comes
+    const submitCode = (e, route, onSuccess) => {
+        e.preventDefault();
+
+        if(!code.trim().length) {
+            return toast.error("Enter the code from your authenticator app");
+        }
+
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + route, { code }, authHeaders)
+        .then(({ data }) => {
+            e.target.removeAttribute("disabled");
+            setCode("");
+            onSuccess(data);
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    const startSetup = (e) => {
+        e.target.setAttribute("disabled", true);
+
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/2fa/setup", {}, authHeaders)
+        .then(({ data }) => {
+            setSetup(data);
+        })
+        .catch(({ response }) => {
+            e.target.removeAttribute("disabled");
+            toast.error(response.data.error);
+        })
+    }
+
+    const enableTwoFactor = (e) => {
+        submitCode(e, "/2fa/enable", (data) => {
+            setSetup(null);
+            setBackupCodes(data.backup_codes);
+            setStatus({ enabled: true, backup_codes_left: data.backup_codes.length });
+            toast.success("Two-factor authentication enabled");
+        })
+    }
+
+    const regenerateBackupCodes = (e) => {
+        submitCode(e, "/2fa/backup-codes", (data) => {
+            setBackupCodes(data.backup_codes);
+            setStatus({ ...status, backup_codes_left: data.backup_codes.length });
+            toast.success("New backup codes created");
+        })
+    }
+
+    const disableTwoFactor = (e) => {
+        submitCode(e, "/2fa/disable", () => {
+            setBackupCodes(null);
+            setStatus({ enabled: false, backup_codes_left: 0 });
+            toast.success("Two-factor authentication disabled");
+        })
+    }
+
+    const codeInput = (
+        <div className="relative w-full md:max-w-[400px] mb-4">
+            <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="Code"
+                autoComplete="one-time-code"
+                className="input-box"
+            />
+            <i className="fi fi-rr-shield-check input-icon"></i>
+        </div>
+    )
+
+    return (
+        <AnimationWrapper>
+            <h1 className="max-md:hidden">Two-Factor Authentication</h1>
+
+            <div className="py-10 w-full">
+                <p className="text-dark-grey mb-8">After your password, sign in will also ask for a code from an authenticator app like Google Authenticator or Authy.</p>
+
+                {
+                    status === null ? <Loader /> :
+
+                    backupCodes ?
+                    <div className="mb-10">
+                        <p className="font-medium text-xl mb-2">Save your backup codes</p>
+                        <p className="text-dark-grey mb-5">Each code can be used once to sign in without your phone. They will not be shown again.</p>
+
+                        <div className="grid grid-cols-2 gap-3 max-w-[400px] bg-grey p-6 rounded-md font-mono">
+                            {
+                                backupCodes.map((backupCode, i) => <p key={i}>{backupCode}</p>)
+                            }
+                        </div>
+
+                        <button className="btn-light mt-5" onClick={() => setBackupCodes(null)}>I have saved them</button>
+                    </div>
+
+                    : status.enabled ?
+                    <div>
+                        <p className="mb-2"><i className="fi fi-rr-shield-check"></i> Two-factor authentication is <span className="font-medium">enabled</span></p>
+                        <p className="text-dark-grey mb-8">{status.backup_codes_left} backup codes left</p>
+
+                        <p className="text-dark-grey mb-3">Enter a code to create new backup codes or to turn off two-factor authentication</p>
+
+                        {codeInput}
+
+                        <div className="flex gap-4 flex-wrap">
+                            <button className="btn-light" onClick={regenerateBackupCodes}>New backup codes</button>
+                            <button className="btn-dark bg-red" onClick={disableTwoFactor}>Disable</button>
+                        </div>
+                    </div>
+
+                    : setup ?
+                    <div>
+                        <p className="mb-5">Scan this QR code with your authenticator app, then enter the 6 digit code it shows.</p>
+
+                        <img src={setup.qr_code} alt="QR code" className="w-48 h-48 mb-4" />
+
+                        <p className="text-dark-grey mb-8 break-all">Can&apos;t scan it? Enter this key in the app: <span className="font-mono text-black">{setup.secret}</span></p>
+
+                        {codeInput}
+
+                        <button className="btn-dark" onClick={enableTwoFactor}>Enable</button>
+                    </div>
+
+                    :
+                    <button className="btn-dark" onClick={startSetup}>Set up two-factor authentication</button>
+                }
+            </div>
+        </AnimationWrapper>
+    )
+}
+
+export default TwoFactorSettings;
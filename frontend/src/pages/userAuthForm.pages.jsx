@@ -1,26 +1,39 @@
-import { useContext, useRef } from "react";
+import { useContext, useRef, useState } from "react";
 import AnimationWrapper from "../common/page-animation";
 import InputBox from "../components/input.component";
 import googleIcon from "../imgs/google.png";
 import { Link, Navigate } from "react-router-dom";
-import { Toaster, toast } from "react-hot-toast";
+import { toast } from "react-hot-toast";
 import axios from "axios";
 import { storeInSession } from "../common/session";
 import { UserContext } from "../App";
 import { authWithGoogle } from "../common/firebase";
+import { emailRegex, passwordRegex, passwordRuleMessage } from "../common/regex";
+import TwoFactorChallenge from "../components/two-factor-challenge.component";
 
 const UserAuthForm = ({type}) => {
 
     let { userAuth: { access_token }, setUserAuth } = useContext(UserContext);
 
+    // set when the password is correct but two factor authentication is enabled
+    const [ twoFactorToken, setTwoFactorToken ] = useState(null);
+
+    const storeUser = (data) => {
+        storeInSession("user", JSON.stringify(data));
+            
+        setUserAuth(data);
+    }
+
     const userAuthThroughServer = (serverRoute, formData) => {
 
         // send data to server
         axios.post(import.meta.env.VITE_SERVER_DOMAIN + serverRoute, formData)
         .then(({data}) => {
-            storeInSession("user", JSON.stringify(data));
-            
-            setUserAuth(data);
+            if(data.two_factor_required) {
+                return setTwoFactorToken(data.two_factor_token);
+            }
+
+            storeUser(data);
         })
         .catch(({response}) => {
             toast.error(response.data.error);
@@ -32,9 +45,6 @@ const UserAuthForm = ({type}) => {
 
         let serverRoute = type === "sign-in" ? "/signin" : "/signup";
 
-        let emailRegex = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/; // regex for email
-        let passwordRegex = /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z]).{6,20}$/; // regex for password
-
         // formData
         let form = new FormData(formElement);
         let formData = {};
@@ -57,7 +67,7 @@ const UserAuthForm = ({type}) => {
             return toast.error("Invalid email");
         }
         if(!passwordRegex.test(password)) {
-            return toast.error("Password must contain 6 to 20 characters long, contain at least 1 uppercase letter, 1 lowercase letter, and 1 number");
+            return toast.error(passwordRuleMessage);
         }
 
         // send data to backend
@@ -87,9 +97,13 @@ const UserAuthForm = ({type}) => {
         access_token ?
         <Navigate to="/"/>
         :
+        twoFactorToken ?
+        <section className="h-cover flex items-center justify-center">
+            <TwoFactorChallenge twoFactorToken={twoFactorToken} onVerified={storeUser} onCancel={() => setTwoFactorToken(null)} />
+        </section>
+        :
         <AnimationWrapper keyValue={type}>
             <section className="h-cover flex items-center justify-center">
-            <Toaster/>
             <form id="formElement" className="w-[80%] max-w-[400px]">
                 <h1 className="text-4xl font-gelasio capitalize text-center mb24">
                     {type === "sign-in" ? "Welcome back" : "Join us today"}
@@ -121,6 +135,15 @@ const UserAuthForm = ({type}) => {
                     icon = "fi-rr-key"
                 />
 
+                {
+                    type === "sign-in" ?
+                    <Link to="/forgot-password" className="block text-right text-dark-grey underline -mt-2">
+                        Forgot password ?
+                    </Link>
+                    :
+                    ""
+                }
+
                 {/* Sign in and sign up button */}
 
                 <button
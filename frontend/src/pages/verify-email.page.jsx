@@ -0,0 +1,59 @@
+import { useContext, useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import axios from "axios";
+import AnimationWrapper from "../common/page-animation";
+import Loader from "../components/loader.component";
+import { UserContext } from "../App";
+import { storeInSession } from "../common/session";
+
+const VerifyEmail = () => {
+
+    let { token } = useParams();
+
+    let { userAuth, setUserAuth } = useContext(UserContext);
+
+    // null while verifying, then "verified" or the error from the server
+    let [status, setStatus] = useState(null);
+
+    useEffect(() => {
+        axios.post(import.meta.env.VITE_SERVER_DOMAIN + "/verify-email", { token })
+        .then(() => {
+            setStatus("verified");
+        })
+        .catch(({ response }) => {
+            setStatus(response ? response.data.error : "Failed to verify email, try again");
+        })
+    }, [token])
+
+    useEffect(() => {
+        // update the user in session if the same browser is logged in
+        if(status === "verified" && userAuth.access_token && !userAuth.email_verified) {
+            let user = { ...userAuth, email_verified: true };
+            storeInSession("user", JSON.stringify(user));
+            setUserAuth(user);
+        }
+    }, [status, userAuth, setUserAuth])
+
+    return (
+        <AnimationWrapper>
+            <section className="h-cover flex flex-col items-center justify-center gap-6 text-center">
+                {
+                    status === null ? <Loader /> :
+                    status === "verified" ?
+                    <>
+                        <h1 className="text-4xl font-gelasio">Email verified</h1>
+                        <p className="text-dark-grey text-xl">You can now write blogs and leave comments.</p>
+                        <Link to="/" className="btn-dark">Go to home page</Link>
+                    </>
+                    :
+                    <>
+                        <h1 className="text-4xl font-gelasio">Verification failed</h1>
+                        <p className="text-dark-grey text-xl">{status}</p>
+                    </>
+                }
+            </section>
+        </AnimationWrapper>
+    )
+}
+
+export default VerifyEmail;